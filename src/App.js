@@ -1,31 +1,47 @@
 /**
  * App.js - Main Application Component
  *
- * PURPOSE: Single chat room for sports fans — Smack Talk Central.
+ * PURPOSE: Chat rooms for sports fans — Smack Talk Central. One room per game.
  *
  * STATE:
+ * - messages[].status: Delivery state of our own messages — 'pending' | 'sent' | 'failed'
+ * - rooms: Array of game rooms shown in the lobby
+ * - currentRoomId: The room being viewed (drives channel, history and polls)
  * - messages: Array of all chat messages
+ * - historyCursor: Where the next (older) history page starts — scroll-back loads it
+ * - cachedCount: How many of the oldest messages were evicted to the message
+ *   cache (kept out of memory on busy days) — scroll-back restores them first
+ * - jumpRequest: { messageId, nonce } — tells ChatDisplay to scroll to a search result
  * - currentMessage: What the user is currently typing
- * - polls: Array of all polls (active and closed)
- * - userVotes: Object tracking user's votes { pollId: optionId }
+ * - replyingTo: The message the next send replies to (null if none)
+ * - polls: Array of all polls (active and closed), synced over the channel
+ * - pins: Pinned messages and the room announcement, synced over the channel
+ * - userVotes: Derived from polls — the current user's votes { pollId: optionId }
  * - showCreatePoll: Boolean - whether create poll modal is open
  * - reactionCounts: Object with emoji counts from last 30 seconds
+ * - roster: Who's in the room, kept fresh by presence heartbeats
+ * - typingUsers: Who's typing right now (channel-only, never persisted)
+ * - connectionStatus: 'connecting' | 'reconnecting' | 'live' (see connectionManager)
  *
  * LAYOUT:
- * - Header: App title and user button
+ * - Header: App title, current room, connection status, online count and user button
+ * - Left sidebar: Room lobby
  * - Center: Full-screen chat display area with reactions
  * - Right sidebar: Polls (slides in/out)
- * - Bottom: Message input and reaction bar
+ * - Bottom: Reaction bar, typing indicator and message input
+ *
+ * TABS: With the app open in several tabs, one leader tab owns the channel
+ * connection and XP writes; the others go through it (see tabSync.js).
  */
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import './App.css';
 import { SignIn, SignUp, UserButton, useUser } from '@clerk/clerk-react';
 
-// AWS Amplify for real-time chat
-import { Amplify } from 'aws-amplify';
-import { events } from 'aws-amplify/data';
-import awsConfig, { CHAT_CHANNEL } from './aws-config';
+// Real-time chat (AppSync Events or the local transport, see realtimeTransport.js)
+import { getRoomChannel } from './aws-config';
+import { createConnectionManager } from './services/connectionManager';
+import { getTabSync } from './services/realtimeTransport';
 
 // Import our custom components
 import ChatDisplay from './components/ChatDisplay';
@@ -34,9 +50,50 @@ import PollSidebar from './components/PollSidebar';
 import CreatePoll from './components/CreatePoll';
 import ReactionBar from './components/ReactionBar';
 import KlipyPicker from './components/KlipyPicker';
+import RoomSelector from './components/RoomSelector';
+import PresenceRoster from './components/PresenceRoster';
+import TypingIndicator from './components/TypingIndicator';
+import SearchPanel from './components/SearchPanel';
+import PinnedBar from './components/PinnedBar';
+import FilterSettings from './components/FilterSettings';
+
+// DynamoDB service for message and poll persistence
+import {
+  saveMessage,
+  getMessages,
+  savePoll,
+  savePollVote,
+  savePollClose,
+  getPolls,
+  saveRoom,
+  getRooms,
+  saveMessageEdit,
+  saveMessageDelete,
+  getMessage,
+  saveMessageReaction,
+  savePin,
+  saveUnpin,
+  getPins,
+  saveRoomFilter,
+  getRoomFilter,
+  saveRoomSlowMode,
+  getRoomSlowMode,
+} from './services/dynamodbService';
+
+// Where the oldest messages go when the in-memory list gets too long
+import {
+  evictMessages,
+  takeCachedMessages,
+  getCachedCount,
+  updateCachedMessage,
+  clearCachedMessages,
+} from './services/messageCache';
+
+// Who this user has muted with /mute (kept in localStorage)
+import { loadMutedUsers, saveMutedUsers } from './services/mutedUsers';
 
-// DynamoDB service for message persistence
-import { saveMessage, getMessages } from './services/dynamodbService';
+// Whether this user has chosen to see words the chat filter masks
+import { loadShowFilteredText, saveShowFilteredText } from './services/filterPreference';
 
 // User stats service for XP and levels
 import {
@@ -49,23 +106,162 @@ import {
 } from './services/userStatsService';
 
 // Input sanitization utility
-import { sanitizeText, normalizeMessageInput, sanitizeMessageWithMedia } from './utils/sanitize';
-
-// Configure Amplify with AWS AppSync Events
-Amplify.configure(awsConfig);
+import {
+  sanitizeText,
+  unescapeText,
+  normalizeMessageInput,
+  sanitizeMessageWithMedia,
+  sanitizePoll,
+  sanitizePin,
+  sanitizeRoom,
+} from './utils/sanitize';
+
+// Poll state helpers (shared by local actions and channel events)
+import {
+  upsertPoll,
+  applyPollVote,
+  removePollVote,
+  getPollWinner,
+  getUserVotes,
+  mergePolls,
+} from './utils/polls';
+
+// Collision-free IDs shared by live and persisted messages
+import { createMessageId } from './utils/ids';
+import { createReplyTo } from './utils/replies';
+import {
+  applyMessageEdit,
+  applyMessageDelete,
+} from './utils/messages';
+import { isModerator, canManageRoom } from './utils/roles';
+import { applyMessageReaction, SMACKDOWN_THRESHOLD } from './utils/reactions';
+import { getMentionCandidates, extractMentions, mentionsUser } from './utils/mentions';
+import { findCommand } from './utils/slashCommands';
+import { toEpochMs } from './utils/time';
+
+// Pinned messages and the room announcement
+import {
+  PIN_EVENT_TYPES,
+  canManagePins,
+  createMessagePin,
+  createAnnouncementPin,
+  applyPinEvent,
+  applyPinnedMessageEdit,
+  applyPinnedMessageDelete,
+  mergePins,
+  MAX_ANNOUNCEMENT_LENGTH,
+  splitPins,
+} from './utils/pins';
+
+// Chat filter (profanity, slurs and personal info) with per-room levels
+import {
+  DEFAULT_FILTER_LEVEL,
+  FILTER_EVENT_TYPE,
+  FILTER_LEVEL_LABELS,
+  getFilterLevel,
+  screenOutgoingText,
+  isBlockedText,
+  maskMessage,
+  maskFilteredText,
+} from './utils/moderation';
+
+// Message / reaction throttling and slow mode
+import {
+  MESSAGE_RATE_LIMIT,
+  REACTION_RATE_LIMIT,
+  SLOW_MODE_EVENT_TYPE,
+  takeToken,
+  getSlowModeSeconds,
+  getSlowModeWaitMs,
+  breaksSlowMode,
+  describeSlowModeChange,
+  formatSlowMode,
+} from './utils/rateLimit';
+
+// Room model helpers
+import {
+  DEFAULT_ROOM,
+  createRoomId,
+  getInitialRoomId,
+  setRoomInUrl,
+} from './utils/rooms';
 
-// Hardcoded room ID — single chat room
-const GAME_ID = 'smacktalk-main';
+// Presence (who's in the room) helpers
+import {
+  PRESENCE_HEARTBEAT_MS,
+  PRESENCE_EVENT_TYPES,
+  applyPresenceEvent,
+  pruneRoster,
+  getRosterMembers,
+  createPresenceEvent,
+} from './utils/presence';
+
+// Typing indicator helpers
+import {
+  TYPING_EVENT_TYPES,
+  applyTypingEvent,
+  removeTypingUser,
+  pruneTypingUsers,
+} from './utils/typing';
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
-const getCurrentTimestamp = () => {
-  return new Date().toLocaleTimeString([], {
-    hour: '2-digit',
-    minute: '2-digit',
-  });
+const createSystemMessage = (text) => ({
+  id: `system-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  username: 'System',
+  text,
+  timestamp: Date.now(),
+  type: 'system',
+});
+
+// Messages per history page (first load and each scroll-back)
+const HISTORY_PAGE_SIZE = 50;
+
+// Opening a search result loads older pages until it's in memory — up to this many
+const MAX_JUMP_PAGES = 20;
+
+// Older messages loaded above a search result so it's shown in context
+const JUMP_CONTEXT_MESSAGES = 5;
+
+// Messages kept in memory while reading the newest ones; the oldest are
+// evicted to the message cache a batch at a time once the list passes the
+// cap by EVICTION_BATCH
+const MAX_MESSAGES_IN_MEMORY = 500;
+const EVICTION_BATCH = 100;
+
+/**
+ * Turns a stored message row into the shape ChatDisplay renders
+ */
+const formatPersistedMessage = (item) => sanitizeMessageWithMedia({
+  // Rows saved before client IDs existed fall back to their timestamp
+  id: item.id || item.timestamp,
+  username: item.username || '',
+  text: item.text || '',
+  timestamp: toEpochMs(item.timestamp),
+  type: item.type || 'message',
+  media: item.media || undefined,
+  replyTo: item.replyTo || undefined,
+  authorId: item.authorId,
+  editedAt: item.editedAt,
+  deleted: Boolean(item.deleted),
+  reactions: item.reactions || undefined,
+  mentions: item.mentions || undefined,
+  emote: Boolean(item.emote),
+  smackdown: Boolean(item.smackdownAwarded),
+});
+
+// Header labels for each connection manager status
+const CONNECTION_LABELS = {
+  connecting: 'Connecting…',
+  reconnecting: 'Reconnecting…',
+  live: 'Live',
+};
+
+const getPollClosedText = (poll) => {
+  const winner = getPollWinner(poll);
+  return `📊 Poll closed! "${poll.question}" - Winner: ${winner.text} (${winner.votes} votes)`;
 };
 
 // ============================================
@@ -83,19 +279,138 @@ function App() {
   // Get username from Clerk user data
   const currentUsername = user?.username || user?.firstName || 'Anonymous';
 
+  // Presence identity — the Clerk ID when signed in, otherwise a per-tab guest ID
+  const [guestId] = useState(() => `guest-${Math.random().toString(36).slice(2, 10)}`);
+  const memberId = user?.id || guestId;
+
+  // Moderators can delete anyone's messages (see utils/roles.js)
+  const moderator = isModerator(user);
+
+  // Room lobby state
+  const [rooms, setRooms] = useState([DEFAULT_ROOM]);
+  const [currentRoomId, setCurrentRoomId] = useState(getInitialRoomId);
+  const [showRoomList, setShowRoomList] = useState(false);
+  const currentRoom = rooms.find(room => room.id === currentRoomId) || {
+    id: currentRoomId,
+    name: currentRoomId,
+  };
+
   // All the chat messages (start empty)
   const [messages, setMessages] = useState([]);
 
+  // Cursor for the next page of older history (null when there's nothing older)
+  const [historyCursor, setHistoryCursor] = useState(null);
+
+  // Whether the newest page failed to load; retrying bumps historyAttempt
+  const [historyLoadFailed, setHistoryLoadFailed] = useState(false);
+  const [historyAttempt, setHistoryAttempt] = useState(0);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [cachedCount, setCachedCount] = useState(0);
+
+  // Whether ChatDisplay is pinned to the newest message (only then do we evict)
+  const pinnedToBottomRef = useRef(true);
+
+  // History search panel, and the result ChatDisplay should scroll to
+  const [showSearch, setShowSearch] = useState(false);
+  const [jumpRequest, setJumpRequest] = useState(null);
+
+  // Recent authors offered by @mention autocomplete
+  const mentionCandidates = useMemo(
+    () => getMentionCandidates(messages, user?.id),
+    [messages, user?.id]
+  );
+
+  // People muted with /mute — their messages are hidden for this user only
+  const [mutedUsers, setMutedUsers] = useState(loadMutedUsers);
+  const visibleMessages = useMemo(() => {
+    if (mutedUsers.length === 0) return messages;
+    const mutedIds = new Set(mutedUsers.map(muted => muted.id));
+    return messages.filter(message => !mutedIds.has(message.authorId));
+  }, [messages, mutedUsers]);
+
+  useEffect(() => {
+    saveMutedUsers(mutedUsers);
+  }, [mutedUsers]);
+
+  // The room's chat filter level (moderators and the room's creator set it),
+  // and whether this user has chosen to see the words it masks
+  const [filterLevel, setFilterLevel] = useState(DEFAULT_FILTER_LEVEL);
+  const [showFilteredText, setShowFilteredText] = useState(loadShowFilteredText);
+  const [showFilterSettings, setShowFilterSettings] = useState(false);
+  const canModerateRoom = canManageRoom(user, currentRoom);
+
+  // Read by the channel handler, which drops blocked messages on receipt
+  const filterLevelRef = useRef(filterLevel);
+  filterLevelRef.current = filterLevel;
+
+  useEffect(() => {
+    saveShowFilteredText(showFilteredText);
+  }, [showFilteredText]);
+
+  // Slow mode (seconds between each person's messages, 0 = off), and when
+  // we may send again — MessageInput counts down to it
+  const [slowModeSeconds, setSlowModeSeconds] = useState(0);
+  const [cooldownUntil, setCooldownUntil] = useState(null);
+  const slowModeRef = useRef(slowModeSeconds);
+  slowModeRef.current = slowModeSeconds;
+
+  // Token buckets for our messages and reactions, and when our last message went out
+  const messageBucketRef = useRef(null);
+  const reactionBucketRef = useRef(null);
+  const lastSentAtRef = useRef(null);
+
+  // Masking happens here, for display only, so a level change applies to
+  // the history too. Our own messages are shown as we wrote them.
+  const displayMessages = useMemo(() => {
+    if (showFilteredText || filterLevel === 'off') return visibleMessages;
+    return visibleMessages.map(message => (
+      message.authorId && message.authorId === user?.id ? message : maskMessage(message, filterLevel)
+    ));
+  }, [visibleMessages, filterLevel, showFilteredText, user?.id]);
+
+  const displayText = useCallback(
+    (text) => (showFilteredText ? text : maskFilteredText(text, filterLevel)),
+    [filterLevel, showFilteredText]
+  );
+
+  // Pins and reply quotes are stored unmasked, so they're made from the original
+  const findOriginalMessage = (message) => messages.find(m => m.id === message.id) || message;
+
   // What the user is currently typing in the input
   const [currentMessage, setCurrentMessage] = useState('');
 
+  // The message the user is replying to (shown above the input)
+  const [replyingTo, setReplyingTo] = useState(null);
+
+  // GIF picked in the Klipy picker, waiting above the input for a caption
+  const [attachment, setAttachment] = useState(null);
+
   // Polls state
   const [polls, setPolls] = useState([]);
-  const [userVotes, setUserVotes] = useState({});
+  const userVotes = useMemo(() => getUserVotes(polls, user?.id), [polls, user?.id]);
   const [showCreatePoll, setShowCreatePoll] = useState(false);
 
-  // Klipy picker state
+  // Pinned messages and the announcement banner (moderators and the room's creator manage them)
+  const [pins, setPins] = useState([]);
+  const { announcement, messagePins } = useMemo(() => splitPins(pins), [pins]);
+  const displayPins = useMemo(() => messagePins.map(pin => {
+    const text = displayText(pin.text);
+    return text === pin.text ? pin : { ...pin, text };
+  }), [messagePins, displayText]);
+  const displayReplyingTo = useMemo(() => {
+    if (!replyingTo?.text) return replyingTo;
+    const text = displayText(replyingTo.text);
+    return text === replyingTo.text ? replyingTo : { ...replyingTo, text };
+  }, [replyingTo, displayText]);
+  const pinnedMessageIds = useMemo(
+    () => new Set(messagePins.map(pin => pin.messageId)),
+    [messagePins]
+  );
+  const canPin = canManagePins(user, currentRoom);
+
+  // Klipy picker state (/gif opens it with a search already typed)
   const [showKlipyPicker, setShowKlipyPicker] = useState(false);
+  const [klipyQuery, setKlipyQuery] = useState('');
 
   // Reactions state
   const [reactionCounts, setReactionCounts] = useState({
@@ -111,11 +426,15 @@ function App() {
   const [showPollsSidebar, setShowPollsSidebar] = useState(false);
 
   // Real-time chat connection state
-  const [isConnected, setIsConnected] = useState(false);
-  const [connectionError, setConnectionError] = useState(null);
-  const channelRef = useRef(null);
+  const [connectionStatus, setConnectionStatus] = useState('connecting');
+  const [outboxCount, setOutboxCount] = useState(0);
+  const isConnected = connectionStatus === 'live';
+  const connectionRef = useRef(null);
   const processedMessageIds = useRef(new Set());
 
+  // Outgoing messages we may need to retry: messageId -> { event, record }
+  const outgoingMessages = useRef(new Map());
+
   // User stats state (XP, level, streak)
   const [userStats, setUserStats] = useState({
     xp: 0,
@@ -126,6 +445,32 @@ function App() {
   // Toast notifications state
   const [toasts, setToasts] = useState([]);
 
+  // Presence roster state
+  const [roster, setRoster] = useState({});
+  const [showRoster, setShowRoster] = useState(false);
+  const rosterMembers = useMemo(() => getRosterMembers(roster), [roster]);
+
+  // Typing indicator state
+  const [typingUsers, setTypingUsers] = useState({});
+  const typingUsernames = useMemo(
+    () => Object.values(typingUsers).map(member => member.username),
+    [typingUsers]
+  );
+
+  // Latest presence profile, read by heartbeats without restarting them
+  const presenceRef = useRef(null);
+  presenceRef.current = { memberId, username: currentUsername, xp: userStats.xp };
+
+  // Room being viewed, for async work that finishes after a room switch
+  const currentRoomIdRef = useRef(currentRoomId);
+  currentRoomIdRef.current = currentRoomId;
+
+  // Called when one of our messages earns a smackdown (set below, next to the XP logic)
+  const onSmackdownRef = useRef(null);
+
+  // Called with a message that @mentions us (set below, next to the toasts)
+  const onMentionRef = useRef(null);
+
   // ----------------------------------------
   // EFFECTS
   // ----------------------------------------
@@ -159,96 +504,426 @@ function App() {
     return () => clearInterval(interval);
   }, []);
 
-  // Connect to AppSync Events for real-time chat
+  // Load the room list for the lobby
   useEffect(() => {
-    let subscription = null;
+    const loadRooms = async () => {
+      const loadedRooms = (await getRooms()).map(sanitizeRoom).filter(Boolean);
+      setRooms(prev => {
+        const knownIds = new Set(prev.map(room => room.id));
+        return [...prev, ...loadedRooms.filter(room => !knownIds.has(room.id))];
+      });
+    };
 
-    const connectToChannel = async () => {
-      try {
-        console.log('Connecting to AppSync Events channel:', CHAT_CHANNEL);
-
-        const channel = await events.connect(CHAT_CHANNEL);
-        channelRef.current = channel;
-        setIsConnected(true);
-        setConnectionError(null);
-        console.log('Successfully connected to channel');
-
-        subscription = channel.subscribe({
-          next: (event) => {
-            console.log('Received event:', event);
-            const data = event.event;
-
-            if (data && data.id && !processedMessageIds.current.has(data.id)) {
-              processedMessageIds.current.add(data.id);
-
-              console.log('🔵 Received message from AppSync:', data);
-              console.log('🔵 Media field in received data:', data.media);
-
-              const newMessage = sanitizeMessageWithMedia({
-                id: data.id,
-                username: data.username || '',
-                text: data.text || '',
-                timestamp: data.timestamp,
-                type: data.type || 'message',
-                media: data.media || undefined,
-              });
-
-              console.log('🟢 After sanitization:', newMessage);
-              console.log('🟢 Media field after sanitization:', newMessage.media);
-
-              setMessages(prev => [...prev, newMessage]);
-            }
-          },
-          error: (err) => {
-            console.error('Subscription error:', err);
-            setConnectionError('Connection error. Messages may not sync.');
-          },
-        });
+    loadRooms();
+  }, []);
 
-      } catch (error) {
-        console.error('Failed to connect to channel:', error);
-        setIsConnected(false);
-        setConnectionError('Failed to connect to chat. Messages will be local only.');
+  // Keep the ?room= URL parameter in sync with the current room
+  useEffect(() => {
+    setRoomInUrl(currentRoomId);
+  }, [currentRoomId]);
+
+  // Connect to the current room's realtime channel for real-time chat.
+  // The connection manager retries with backoff on failure. Re-runs on room
+  // switch: the old connection is stopped and room state (messages, polls,
+  // seen IDs) starts fresh for the new room.
+  useEffect(() => {
+    const roomChannel = getRoomChannel(currentRoomId);
+
+    processedMessageIds.current = new Set();
+    outgoingMessages.current = new Map();
+    clearCachedMessages(currentRoomId);
+    setCachedCount(0);
+    setMessages([]);
+    setHistoryCursor(null);
+    setHistoryLoadFailed(false);
+    setLoadingOlder(false);
+    setJumpRequest(null);
+    setReplyingTo(null);
+    setAttachment(null);
+    setPolls([]);
+    setPins([]);
+    setFilterLevel(DEFAULT_FILTER_LEVEL);
+    setSlowModeSeconds(0);
+    setCooldownUntil(null);
+    lastSentAtRef.current = null;
+    setRoster({});
+    setTypingUsers({});
+    setOutboxCount(0);
+
+    // Changes to an existing message apply to the list and, if the message
+    // was evicted, to its cached copy
+    const updateMessage = (messageId, transform) => {
+      setMessages(transform);
+      updateCachedMessage(currentRoomId, messageId, transform);
+    };
+
+    // Anyone can claim byModerator on the channel — a delete of someone
+    // else's message only counts once the Lambda has stored it
+    const confirmModeratorDelete = async (deletion) => {
+      const stored = await getMessage(currentRoomId, deletion.messageId);
+      if (!stored?.deleted) {
+        console.warn('Ignoring an unconfirmed delete of', deletion.messageId);
+        return;
       }
+      updateMessage(deletion.messageId, prev => applyMessageDelete(prev, deletion, { verified: true }));
+      setPins(prev => applyPinnedMessageDelete(prev, deletion, { verified: true }));
     };
 
-    connectToChannel();
+    // Edit events claim an editor anyone could fake — apply the text the
+    // Lambda stored, which only takes edits from the author
+    const confirmEdit = async (change) => {
+      const stored = await getMessage(currentRoomId, change.messageId);
+      if (!stored?.editedAt || stored.deleted || currentRoomIdRef.current !== currentRoomId) {
+        console.warn('Ignoring an unconfirmed edit of', change.messageId);
+        return;
+      }
+
+      const edit = {
+        messageId: change.messageId,
+        text: sanitizeText(stored.text),
+        editorId: stored.authorId,
+        editedAt: stored.editedAt,
+      };
+      if (isBlockedText(edit.text, filterLevelRef.current)) return;
+      updateMessage(edit.messageId, prev => applyMessageEdit(prev, edit));
+      setPins(prev => applyPinnedMessageEdit(prev, edit));
+    };
 
-    return () => {
-      console.log('Cleaning up AppSync Events connection');
-      if (subscription) {
-        subscription.unsubscribe();
+    // Pin events are only a nudge: anyone can publish one, but the Lambda
+    // only stores pins from moderators and the room's creator, so the room's
+    // pins are whatever it has stored
+    const refreshPins = async () => {
+      const storedPins = await getPins(currentRoomId);
+      if (storedPins === null || currentRoomIdRef.current !== currentRoomId) return;
+      setPins(mergePins([], storedPins.map(sanitizePin).filter(Boolean)));
+    };
+
+    // A smackdown event is only a hint — the stored row says whether the
+    // Lambda really awarded it (and so whose XP went up)
+    const confirmSmackdown = async (messageId) => {
+      const stored = await getMessage(currentRoomId, messageId);
+      if (!stored?.smackdownAwarded) {
+        console.warn('Ignoring an unconfirmed smackdown on', messageId);
+        return;
+      }
+      updateMessage(messageId, prev => prev.map(msg =>
+        msg.id === messageId ? { ...msg, smackdown: true } : msg
+      ));
+      if (stored.authorId === presenceRef.current.memberId) {
+        onSmackdownRef.current?.();
+      }
+    };
+
+    // Anyone can publish a room-filter event, but the Lambda only stores
+    // levels set by moderators and the room's creator — apply the stored
+    // level, and only announce the change if it's really the one stored
+    const confirmFilterLevel = async (change) => {
+      const stored = await getRoomFilter(currentRoomId);
+      if (!stored || currentRoomIdRef.current !== currentRoomId) return;
+
+      const level = getFilterLevel(stored);
+      setFilterLevel(level);
+      if (level !== change.level) {
+        console.warn('Ignoring an unconfirmed chat filter change to', change.level);
+        return;
+      }
+      setMessages(prev => [
+        ...prev,
+        createSystemMessage(`🛡️ ${sanitizeText(change.setBy)} set the chat filter to ${FILTER_LEVEL_LABELS[level]}`),
+      ]);
+    };
+
+    // Same for slow mode: a change counts once it's the setting stored
+    const confirmSlowMode = async (change) => {
+      const stored = await getRoomSlowMode(currentRoomId);
+      if (stored === null || currentRoomIdRef.current !== currentRoomId) return;
+
+      const seconds = getSlowModeSeconds(stored);
+      setSlowModeSeconds(seconds);
+      if (seconds !== getSlowModeSeconds(change.seconds)) {
+        console.warn('Ignoring an unconfirmed slow mode change to', change.seconds);
+        return;
+      }
+      setMessages(prev => [
+        ...prev,
+        createSystemMessage(`🐢 ${sanitizeText(change.setBy)} ${describeSlowModeChange(seconds)}`),
+      ]);
+    };
+
+    const showReceivedMessage = (message) => {
+      setMessages(prev => [...prev, message]);
+      setTypingUsers(prev =>
+        removeTypingUser(prev, member => member.username === message.username)
+      );
+
+      if (mentionsUser(message, presenceRef.current.memberId)) {
+        onMentionRef.current?.(message);
       }
-      if (channelRef.current) {
-        channelRef.current.close();
+    };
+
+    // When each author's last message arrived, to catch ones that ignore slow mode
+    const lastArrivalByAuthor = new Map();
+
+    // Messages are saved before they're published, and the Lambda refuses
+    // saves that break slow mode — so one that arrives too soon is only
+    // shown if it was stored (e.g. it sat in the sender's outbox)
+    const confirmSlowModeMessage = async (message) => {
+      const stored = await getMessage(currentRoomId, message.id);
+      if (!stored || currentRoomIdRef.current !== currentRoomId) {
+        console.log('🐢 Dropped a message sent too soon for slow mode');
+        return;
+      }
+      showReceivedMessage(message);
+    };
+
+    const handleChannelEvent = (data) => {
+      console.log('Received event:', data);
+
+      // Presence events are ephemeral and idempotent — no ID tracking
+      if (data && PRESENCE_EVENT_TYPES.includes(data.type)) {
+        setRoster(prev => applyPresenceEvent(prev, {
+          ...data,
+          username: sanitizeText(data.username),
+        }));
+
+        // Answer newcomers so they see us before our next heartbeat
+        if (data.type === 'presence-join' && data.memberId !== presenceRef.current.memberId) {
+          connection
+            .publish(createPresenceEvent('presence-heartbeat', presenceRef.current))
+            .catch(err => console.error('Failed to publish presence:', err));
+        }
+        return;
+      }
+
+      // Typing events only drive the indicator — never stored or shown as messages
+      if (data && TYPING_EVENT_TYPES.includes(data.type)) {
+        if (data.memberId !== presenceRef.current.memberId) {
+          setTypingUsers(prev => applyTypingEvent(prev, {
+            ...data,
+            username: sanitizeText(data.username),
+          }));
+        }
+        return;
+      }
+
+      if (data && data.id && !processedMessageIds.current.has(data.id)) {
+        processedMessageIds.current.add(data.id);
+
+        // Poll events update the shared polls list instead of the chat
+        if (data.type === 'poll-created') {
+          const poll = sanitizePoll(data.poll);
+          if (poll) {
+            setPolls(prev => upsertPoll(prev, poll));
+            setMessages(prev => [
+              ...prev,
+              createSystemMessage(`📊 New poll created: "${poll.question}"`),
+            ]);
+          }
+          return;
+        }
+
+        if (data.type === 'poll-vote') {
+          setPolls(prev => applyPollVote(prev, data.pollId, data.optionId, data.voterId));
+          return;
+        }
+
+        if (data.type === 'poll-closed') {
+          // The closer's snapshot carries the final totals
+          const poll = sanitizePoll(data.poll);
+          if (poll) {
+            setPolls(prev => upsertPoll(prev, { ...poll, status: 'closed' }));
+            setMessages(prev => [...prev, createSystemMessage(getPollClosedText(poll))]);
+          }
+          return;
+        }
+
+        // Edits and deletes change an existing message in place
+        if (data.type === 'message-edit') {
+          confirmEdit(data);
+          return;
+        }
+
+        if (data.type === 'message-delete') {
+          updateMessage(data.messageId, prev => applyMessageDelete(prev, data));
+          setPins(prev => applyPinnedMessageDelete(prev, data));
+          if (data.byModerator) {
+            confirmModeratorDelete(data);
+          }
+          return;
+        }
+
+        if (PIN_EVENT_TYPES.includes(data.type)) {
+          refreshPins();
+          return;
+        }
+
+        if (data.type === SLOW_MODE_EVENT_TYPE) {
+          confirmSlowMode(data);
+          return;
+        }
+
+        if (data.type === FILTER_EVENT_TYPE) {
+          confirmFilterLevel(data);
+          return;
+        }
+
+        if (data.type === 'message-reaction') {
+          updateMessage(data.messageId, prev => applyMessageReaction(prev, data));
+          return;
+        }
+
+        if (data.type === 'smackdown') {
+          confirmSmackdown(data.messageId);
+          return;
+        }
+
+        console.log('🔵 Received message from channel:', data);
+        console.log('🔵 Media field in received data:', data.media);
+
+        const newMessage = sanitizeMessageWithMedia({
+          id: data.id,
+          username: data.username || '',
+          text: data.text || '',
+          // Older clients sent a preformatted time; arrival time is the best we have for those
+          timestamp: toEpochMs(data.timestamp) ?? Date.now(),
+          type: data.type || 'message',
+          media: data.media || undefined,
+          replyTo: data.replyTo || undefined,
+          authorId: data.authorId,
+          mentions: data.mentions || undefined,
+          emote: Boolean(data.emote),
+        });
+
+        console.log('🟢 After sanitization:', newMessage);
+        console.log('🟢 Media field after sanitization:', newMessage.media);
+
+        // Block rooms drop slurs and personal info from clients that didn't screen them
+        if (isBlockedText(newMessage.text, filterLevelRef.current)) {
+          console.log('🛡️ Dropped a message blocked by the chat filter');
+          return;
+        }
+
+        if (newMessage.type === 'message' && newMessage.authorId) {
+          const arrivedAt = Date.now();
+          const previousAt = lastArrivalByAuthor.get(newMessage.authorId) ?? null;
+          if (breaksSlowMode(previousAt, slowModeRef.current, arrivedAt)) {
+            confirmSlowModeMessage(newMessage);
+            return;
+          }
+          lastArrivalByAuthor.set(newMessage.authorId, arrivedAt);
+        }
+
+        showReceivedMessage(newMessage);
       }
     };
+
+    const connection = createConnectionManager(roomChannel, {
+      onEvent: handleChannelEvent,
+      onStatusChange: setConnectionStatus,
+      onOutboxChange: setOutboxCount,
+    });
+    connectionRef.current = connection;
+    connection.start();
+
+    return () => {
+      console.log('Cleaning up realtime connection:', roomChannel);
+      connection.stop();
+      clearCachedMessages(currentRoomId);
+      connectionRef.current = null;
+      setConnectionStatus('connecting');
+    };
+  }, [currentRoomId]);
+
+  // Announce ourselves in the room and keep our presence alive with heartbeats
+  useEffect(() => {
+    const connection = connectionRef.current;
+    if (!isConnected || !connection) return;
+
+    const sendPresence = (type) => {
+      const event = createPresenceEvent(type, presenceRef.current);
+      setRoster(prev => applyPresenceEvent(prev, event));
+      connection.publish(event).catch(err => {
+        console.error('Failed to publish presence:', err);
+      });
+    };
+
+    sendPresence('presence-join');
+    const heartbeat = setInterval(() => sendPresence('presence-heartbeat'), PRESENCE_HEARTBEAT_MS);
+
+    // Best-effort goodbye when the tab closes; the timeout covers the rest
+    const handlePageHide = () => sendPresence('presence-leave');
+    window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      clearInterval(heartbeat);
+      window.removeEventListener('pagehide', handlePageHide);
+      sendPresence('presence-leave');
+    };
+  }, [isConnected, currentRoomId, memberId]);
+
+  // Expire members whose heartbeats have stopped
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setRoster(prev => pruneRoster(prev));
+    }, 5000);
+
+    return () => clearInterval(interval);
+  }, []);
+
+  // Expire typing indicators whose typing-stop never arrived
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setTypingUsers(prev => pruneTypingUsers(prev));
+    }, 1000);
+
+    return () => clearInterval(interval);
   }, []);
 
-  // Load persisted messages from DynamoDB on mount
+  // Keep the in-memory list short on busy days: while the user is reading
+  // the newest messages, move the oldest to the message cache
   useEffect(() => {
+    if (!pinnedToBottomRef.current) return;
+    if (messages.length <= MAX_MESSAGES_IN_MEMORY + EVICTION_BATCH) return;
+
+    // Our own undelivered messages stay in the list so they can be retried
+    const excess = messages.length - MAX_MESSAGES_IN_MEMORY;
+    let count = 0;
+    while (count < excess && !['pending', 'failed'].includes(messages[count].status)) {
+      count += 1;
+    }
+    if (count === 0) return;
+
+    const evicted = messages.slice(0, count);
+    const evictedIds = new Set(evicted.map(msg => msg.id));
+    evictMessages(currentRoomId, evicted);
+    setCachedCount(getCachedCount(currentRoomId));
+    setMessages(prev => prev.filter(msg => !evictedIds.has(msg.id)));
+    console.log(`Evicted ${count} old messages to the message cache`);
+  }, [messages, currentRoomId]);
+
+  // Load the current room's persisted messages from DynamoDB
+  useEffect(() => {
+    let cancelled = false;
+
     const loadPersistedMessages = async () => {
       try {
         console.log('Loading persisted messages from DynamoDB...');
-        const persistedMessages = await getMessages(GAME_ID, 50);
-
-        if (persistedMessages.length > 0) {
-          const formattedMessages = persistedMessages
-            .map(item => sanitizeMessageWithMedia({
-              id: item.timestamp,
-              username: item.username || '',
-              text: item.text || '',
-              timestamp: new Date(item.timestamp).toLocaleTimeString([], {
-                hour: '2-digit',
-                minute: '2-digit',
-              }),
-              type: item.type || 'message',
-              media: item.media || undefined,
-            }))
-            .reverse();
+        const page = await getMessages(currentRoomId, HISTORY_PAGE_SIZE);
+        if (cancelled) return;
+
+        setHistoryLoadFailed(page.failed);
+        setHistoryCursor(page.nextCursor);
+
+        if (page.messages.length > 0) {
+          const formattedMessages = page.messages.map(formatPersistedMessage).reverse();
 
+          const loadedIds = new Set(formattedMessages.map(msg => msg.id));
           formattedMessages.forEach(msg => processedMessageIds.current.add(msg.id));
-          setMessages(formattedMessages);
+          // Keep anything that arrived live while history was loading
+          setMessages(prev => [
+            ...formattedMessages,
+            ...prev.filter(msg => !loadedIds.has(msg.id)),
+          ]);
           console.log(`Loaded ${formattedMessages.length} persisted messages`);
         }
       } catch (error) {
@@ -257,7 +932,89 @@ function App() {
     };
 
     loadPersistedMessages();
-  }, []);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentRoomId, historyAttempt]);
+
+  // Load persisted polls so late joiners see active polls and past results
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPersistedPolls = async () => {
+      const persistedPolls = await getPolls(currentRoomId);
+      const loadedPolls = persistedPolls.map(sanitizePoll).filter(Boolean);
+
+      if (!cancelled && loadedPolls.length > 0) {
+        setPolls(prev => mergePolls(prev, loadedPolls));
+        console.log(`Loaded ${loadedPolls.length} persisted polls`);
+      }
+    };
+
+    loadPersistedPolls();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentRoomId]);
+
+  // Load the room's pins and announcement
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPersistedPins = async () => {
+      const persistedPins = await getPins(currentRoomId);
+      const loadedPins = (persistedPins || []).map(sanitizePin).filter(Boolean);
+
+      if (!cancelled && loadedPins.length > 0) {
+        setPins(prev => mergePins(prev, loadedPins));
+        console.log(`Loaded ${loadedPins.length} persisted pins`);
+      }
+    };
+
+    loadPersistedPins();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentRoomId]);
+
+  // Load the room's chat filter level
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadFilterLevel = async () => {
+      const level = await getRoomFilter(currentRoomId);
+      if (!cancelled && level) {
+        setFilterLevel(getFilterLevel(level));
+      }
+    };
+
+    loadFilterLevel();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentRoomId]);
+
+  // Load the room's slow mode
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSlowMode = async () => {
+      const seconds = await getRoomSlowMode(currentRoomId);
+      if (!cancelled && seconds !== null) {
+        setSlowModeSeconds(getSlowModeSeconds(seconds));
+      }
+    };
+
+    loadSlowMode();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentRoomId]);
 
   // Load user stats from backend when signed in
   useEffect(() => {
@@ -277,6 +1034,42 @@ function App() {
     initUserStats();
   }, [isSignedIn, user?.id]);
 
+  // Mirror XP earned in our other tabs; the leader tab also persists it
+  useEffect(() => {
+    if (!user?.id) return;
+
+    const tabSync = getTabSync();
+    return tabSync.on('xp', ({ clerkUserId, username, amount }) => {
+      if (clerkUserId !== user.id) return;
+
+      setUserStats(prev => {
+        const newXP = prev.xp + amount;
+        return { ...prev, xp: newXP, level: calculateLevel(newXP) };
+      });
+
+      if (tabSync.isLeader()) {
+        incrementXP(clerkUserId, username, amount).catch(err => {
+          console.error('Failed to persist XP:', err);
+        });
+      }
+    });
+  }, [user?.id]);
+
+  // Slow mode is per person, not per tab — count sends from our other tabs
+  useEffect(() => {
+    if (!user?.id) return;
+
+    return getTabSync().on('message-sent', ({ clerkUserId, roomId, sentAt }) => {
+      if (clerkUserId !== user.id || roomId !== currentRoomId) return;
+
+      lastSentAtRef.current = Math.max(lastSentAtRef.current ?? 0, sentAt);
+      if (slowModeRef.current > 0) {
+        const until = sentAt + slowModeRef.current * 1000;
+        setCooldownUntil(prev => Math.max(prev ?? 0, until));
+      }
+    });
+  }, [user?.id, currentRoomId]);
+
   // ----------------------------------------
   // HELPER FUNCTIONS - Toasts & XP
   // ----------------------------------------
@@ -290,6 +1083,11 @@ function App() {
     }, 3000);
   }, []);
 
+  onMentionRef.current = (message) => {
+    if (mutedUsers.some(muted => muted.id === message.authorId)) return;
+    showToast(`💬 ${message.username} mentioned you`, 'mention');
+  };
+
   const calculateCurrentStreak = useCallback((messageList, username) => {
     // Count consecutive messages from the end by the same user
     let streak = 0;
@@ -342,75 +1140,518 @@ function App() {
       };
     });
 
-    // Fire-and-forget API call (non-blocking)
-    incrementXP(clerkUserId, currentUsername, totalXP).catch(err => {
-      console.error('Failed to persist XP:', err);
-    });
+    // Other tabs mirror the XP; only the leader tab writes it (fire-and-forget)
+    const tabSync = getTabSync();
+    tabSync.post('xp', { clerkUserId, username: currentUsername, amount: totalXP });
+    if (tabSync.isLeader()) {
+      incrementXP(clerkUserId, currentUsername, totalXP).catch(err => {
+        console.error('Failed to persist XP:', err);
+      });
+    }
   }, [user?.id, userStats.level, currentUsername, calculateCurrentStreak, showToast]);
 
+  // The Lambda already wrote the smackdown XP — just mirror it here
+  onSmackdownRef.current = () => {
+    showToast(`💥 Smackdown! Your message got ${SMACKDOWN_THRESHOLD}+ reactions. +${XP_RULES.smackdown} XP`, 'streak');
+    setUserStats(prev => {
+      const newXP = prev.xp + XP_RULES.smackdown;
+      return { ...prev, xp: newXP, level: calculateLevel(newXP) };
+    });
+  };
+
   // ----------------------------------------
   // EVENT HANDLERS - Chat Messages
   // ----------------------------------------
 
+  /**
+   * Publishes a chat event (message, reaction, GIF, poll) to everyone in the room.
+   * The ID is marked as processed first so our own echo is ignored, and the
+   * event waits in the outbox if the channel is down.
+   * @returns {Promise<boolean>} True once delivered, false if it was dropped
+   */
+  const publishEvent = useCallback(async (event) => {
+    processedMessageIds.current.add(event.id);
+    try {
+      await connectionRef.current.publish(event, { queue: true });
+      console.log(`Published ${event.type} event to channel`);
+      return true;
+    } catch (error) {
+      console.error(`Failed to publish ${event.type} event:`, error);
+      return false;
+    }
+  }, []);
+
+  const updateMessageStatus = useCallback((messageId, status) => {
+    setMessages(prev =>
+      prev.map(msg => (msg.id === messageId ? { ...msg, status } : msg))
+    );
+  }, []);
+
+  /**
+   * Delivers one of our chat messages: save to DynamoDB, then publish to the
+   * channel. Saving first lets the Lambda turn away messages over the rate
+   * limit or slow mode before anyone sees them. The message is 'sent' only
+   * once both succeed, otherwise 'failed' and the user can retry it from
+   * ChatDisplay (a retry skips the save if that part already worked).
+   */
+  const deliverMessage = useCallback(async (messageId) => {
+    const outgoing = outgoingMessages.current.get(messageId);
+    if (!outgoing) return;
+
+    updateMessageStatus(messageId, 'pending');
+
+    const saved = outgoing.saved || await saveMessage(currentRoomId, outgoing.record);
+
+    // Ignore results for a room we've already left
+    if (outgoingMessages.current.get(messageId) !== outgoing) return;
+
+    if (saved?.rateLimited) {
+      updateMessageStatus(messageId, 'failed');
+      setCooldownUntil(Date.now() + saved.retryAfterMs);
+      showToast(`Slow down — you can send again in ${Math.ceil(saved.retryAfterMs / 1000)}s`, 'error');
+      return;
+    }
+    if (!saved) {
+      updateMessageStatus(messageId, 'failed');
+      return;
+    }
+    outgoing.saved = true;
+
+    const published = await publishEvent(outgoing.event);
+    if (outgoingMessages.current.get(messageId) !== outgoing) return;
+
+    if (published) {
+      outgoingMessages.current.delete(messageId);
+      updateMessageStatus(messageId, 'sent');
+    } else {
+      updateMessageStatus(messageId, 'failed');
+    }
+  }, [currentRoomId, publishEvent, updateMessageStatus, showToast]);
+
+  /**
+   * Adds our own message to the chat as 'pending' and starts delivering it
+   * @param {object} event - The message as published on the channel
+   * @param {object} record - The message as saved to DynamoDB
+   */
+  const sendOwnMessage = useCallback((event, record) => {
+    outgoingMessages.current.set(event.id, { event, record });
+    setMessages(prev => {
+      const updatedMessages = [...prev, { ...event, status: 'pending' }];
+      // Award XP non-blocking (fire-and-forget)
+      awardXPForMessage(updatedMessages);
+      return updatedMessages;
+    });
+    deliverMessage(event.id);
+  }, [awardXPForMessage, deliverMessage]);
+
+  /**
+   * Puts older history (oldest first) in front of the messages we have
+   */
+  const prependHistory = (olderMessages, nextCursor) => {
+    olderMessages.forEach(msg => processedMessageIds.current.add(msg.id));
+    setMessages(prev => {
+      const knownIds = new Set(prev.map(msg => msg.id));
+      return [...olderMessages.filter(msg => !knownIds.has(msg.id)), ...prev];
+    });
+    setHistoryCursor(nextCursor);
+    setLoadingOlder(false);
+  };
+
+  /**
+   * Gets the page of history before the oldest message we have — from the
+   * message cache while it holds evicted messages, then from the Lambda
+   * @returns {object} { messages (oldest first), nextCursor, failed }
+   */
+  const fetchOlderPage = async (roomId, cursor) => {
+    const cached = takeCachedMessages(roomId, HISTORY_PAGE_SIZE);
+    if (cached.length > 0) {
+      setCachedCount(getCachedCount(roomId));
+      return { messages: cached, nextCursor: cursor, failed: false };
+    }
+
+    const page = await getMessages(roomId, HISTORY_PAGE_SIZE, cursor);
+    const messages = page.messages.map(formatPersistedMessage).reverse();
+    // A page of messages we've all seen means the Lambda isn't paging — stop there
+    const addsNothing = messages.length > 0
+      && messages.every(msg => processedMessageIds.current.has(msg.id));
+    return {
+      messages,
+      nextCursor: addsNothing ? null : page.nextCursor,
+      failed: page.failed,
+    };
+  };
+
+  /**
+   * Loads the page of history before the oldest message we have.
+   * Called by ChatDisplay when the user scrolls to the top.
+   */
+  const handleLoadOlderMessages = async () => {
+    if ((historyCursor === null && cachedCount === 0) || loadingOlder) return;
+
+    const roomId = currentRoomId;
+    setLoadingOlder(true);
+    const page = await fetchOlderPage(roomId, historyCursor);
+
+    // The user switched rooms while this page was loading
+    if (currentRoomIdRef.current !== roomId) return;
+
+    prependHistory(page.messages, page.nextCursor);
+  };
+
+  /**
+   * Jumps to a message (a search result or a pin). If it isn't loaded yet
+   * (or has nothing loaded above it), older pages are loaded first — every
+   * page between it and the present, so scroll-back stays gapless.
+   */
+  const handleJumpToMessage = async (messageId) => {
+    if (loadingOlder) {
+      showToast('Still loading history — try again in a moment', 'info');
+      return;
+    }
+
+    const roomId = currentRoomId;
+    const index = messages.findIndex(msg => msg.id === messageId);
+    let found = index !== -1;
+    let above = index;
+    let cursor = historyCursor;
+    let failed = false;
+    let loaded = [];
+    const hasOlder = () => cursor !== null || getCachedCount(roomId) > 0;
+
+    if (hasOlder() && (!found || above < JUMP_CONTEXT_MESSAGES)) {
+      setLoadingOlder(true);
+
+      for (let pages = 0; hasOlder() && pages < MAX_JUMP_PAGES; pages++) {
+        const page = await fetchOlderPage(roomId, cursor);
+        if (currentRoomIdRef.current !== roomId) return;
+
+        if (page.failed) {
+          failed = true;
+          break;
+        }
+
+        const olderMessages = page.messages;
+        loaded = [...olderMessages, ...loaded];
+        cursor = page.nextCursor;
+
+        if (found) {
+          above += olderMessages.length;
+        } else {
+          above = olderMessages.findIndex(msg => msg.id === messageId);
+          found = above !== -1;
+        }
+        if (found && above >= JUMP_CONTEXT_MESSAGES) break;
+      }
+
+      prependHistory(loaded, cursor);
+    }
+
+    if (found) {
+      setJumpRequest({ messageId, nonce: Date.now() });
+    } else if (failed) {
+      showToast("Couldn't load that part of the history — try again", 'error');
+    } else {
+      showToast('That message is too far back to jump to — scroll up to keep loading', 'info');
+    }
+  };
+
+  const handleRetryMessage = (messageId) => {
+    console.log('Retrying message:', messageId);
+    deliverMessage(messageId);
+  };
+
+  /**
+   * Edits one of our own messages: saved first so history matches, then
+   * published so everyone in the room sees the new text
+   */
+  const handleEditMessage = async (messageId, text) => {
+    const screened = screenOutgoingText(normalizeMessageInput(text), filterLevel);
+    if (screened.blockedReason) {
+      showToast(screened.blockedReason, 'error');
+      return;
+    }
+
+    const newText = screened.text;
+    const message = messages.find(m => m.id === messageId);
+    if (!message || newText === '' || newText === unescapeText(message.text)) return;
+
+    const stored = await saveMessageEdit(currentRoomId, messageId, newText, user.id);
+    if (!stored) {
+      showToast("Couldn't save your edit — try again", 'error');
+      return;
+    }
+
+    const edit = {
+      id: `message-edit:${createMessageId(user.id)}`,
+      type: 'message-edit',
+      messageId,
+      text: newText,
+      editorId: user.id,
+      editedAt: stored.editedAt || Date.now(),
+    };
+    setMessages(prev => applyMessageEdit(prev, edit));
+    setPins(prev => applyPinnedMessageEdit(prev, edit));
+    publishEvent(edit);
+  };
+
+  /**
+   * Deletes a message (our own, or anyone's as a moderator), leaving a tombstone.
+   * A message that never reached the Lambda is just removed locally; one
+   * that was saved but failed to publish is deleted like any other, or it
+   * would come back from history.
+   */
+  const handleDeleteMessage = async (messageId) => {
+    const message = messages.find(m => m.id === messageId);
+    if (!message) return;
+
+    if (message.status === 'failed' && !outgoingMessages.current.get(messageId)?.saved) {
+      outgoingMessages.current.delete(messageId);
+      setMessages(prev => prev.filter(m => m.id !== messageId));
+      return;
+    }
+
+    const saved = await saveMessageDelete(currentRoomId, messageId, user.id);
+    if (!saved) {
+      showToast("Couldn't delete that message — try again", 'error');
+      return;
+    }
+    outgoingMessages.current.delete(messageId);
+
+    const deletion = {
+      id: `message-delete:${messageId}`,
+      type: 'message-delete',
+      messageId,
+      deletedById: user.id,
+      byModerator: message.authorId !== user.id,
+    };
+    setMessages(prev => applyMessageDelete(prev, deletion, { verified: true }));
+    setPins(prev => applyPinnedMessageDelete(prev, deletion, { verified: true }));
+    publishEvent(deletion);
+  };
+
   const handleMessageChange = (text) => {
     setCurrentMessage(text);
   };
 
-  const handleSendMessage = useCallback(async () => {
+  // Typing signals go over the channel only — never through saveMessage
+  const handleTypingChange = useCallback((isTyping) => {
+    if (!isSignedIn) return;
+
+    const event = {
+      type: isTyping ? 'typing-start' : 'typing-stop',
+      memberId: presenceRef.current.memberId,
+      username: presenceRef.current.username,
+    };
+    connectionRef.current?.publish(event).catch(err => {
+      console.error('Failed to publish typing event:', err);
+    });
+  }, [isSignedIn]);
+
+  /**
+   * Sends a chat message as the current user (a reply if one is in progress)
+   * @param {string} text - Message text as typed (a GIF's caption, which may be empty)
+   * @param {object} extra - Additional fields, e.g. { media } for a GIF or { emote: true } for /me
+   * @returns {boolean} Whether the message was sent
+   */
+  const sendTextMessage = useCallback((text, extra = {}) => {
     if (!isSignedIn) {
       setAuthMode('signin');
       setShowAuthModal(true);
-      return;
+      return false;
+    }
+
+    // The room's filter refuses some messages and strips personal info from the rest
+    const screened = screenOutgoingText(normalizeMessageInput(text), filterLevel);
+    if (screened.blockedReason) {
+      showToast(screened.blockedReason, 'error');
+      return false;
     }
 
-    const sanitizedText = normalizeMessageInput(currentMessage);
-    if (sanitizedText === '') return;
+    const sanitizedText = screened.text;
+    if (sanitizedText === '' && !extra.media) return false;
 
-    const messageId = Date.now();
+    // Slow mode first (waiting it out doesn't use up a token), then the burst limit.
+    // The text stays in the input while MessageInput counts down.
+    const timestamp = Date.now();
+    const slowModeWait = getSlowModeWaitMs(lastSentAtRef.current, slowModeSeconds, timestamp);
+    if (slowModeWait > 0) {
+      setCooldownUntil(timestamp + slowModeWait);
+      return false;
+    }
+
+    const rate = takeToken(messageBucketRef.current, MESSAGE_RATE_LIMIT, timestamp);
+    messageBucketRef.current = rate.bucket;
+    if (!rate.allowed) {
+      setCooldownUntil(timestamp + rate.retryAfterMs);
+      return false;
+    }
+
+    lastSentAtRef.current = timestamp;
+    setCooldownUntil(slowModeSeconds > 0 ? timestamp + slowModeSeconds * 1000 : null);
+    getTabSync().post('message-sent', { clerkUserId: user.id, roomId: currentRoomId, sentAt: timestamp });
+
+    const messageId = createMessageId(user.id);
+    const replyTo = replyingTo ? createReplyTo(replyingTo) : undefined;
+    const mentions = extractMentions(sanitizedText, mentionCandidates);
     const newMessage = {
       id: messageId,
       username: sanitizeText(currentUsername),
       text: sanitizedText,
-      timestamp: getCurrentTimestamp(),
+      timestamp,
       type: 'message',
+      replyTo,
+      authorId: user.id,
+      mentions,
+      ...extra,
     };
 
     console.log('Sending message:', newMessage);
     setCurrentMessage('');
+    setReplyingTo(null);
 
-    processedMessageIds.current.add(messageId);
-    setMessages(prev => {
-      const updatedMessages = [...prev, newMessage];
-      // Award XP non-blocking (fire-and-forget)
-      awardXPForMessage(updatedMessages);
-      return updatedMessages;
+    // Publish is queued in the outbox if we're offline; sent once the channel is back
+    sendOwnMessage(newMessage, {
+      id: messageId,
+      text: sanitizedText,
+      username: currentUsername,
+      timestamp,
+      type: 'message',
+      replyTo,
+      authorId: user.id,
+      mentions,
+      ...extra,
     });
+    return true;
+  }, [
+    currentUsername,
+    user?.id,
+    isSignedIn,
+    replyingTo,
+    mentionCandidates,
+    sendOwnMessage,
+    filterLevel,
+    slowModeSeconds,
+    currentRoomId,
+    showToast,
+  ]);
+
+  /**
+   * Sends text with the staged GIF, if there is one, as its caption
+   * @param {string} text - Message text as typed (may be empty with a GIF)
+   * @param {object} extra - As for sendTextMessage
+   */
+  const sendWithAttachment = (text, extra = {}) => {
+    const sent = sendTextMessage(text, attachment ? { ...extra, media: attachment } : extra);
+    if (sent) {
+      setAttachment(null);
+    }
+  };
 
-    try {
-      await events.post(CHAT_CHANNEL, newMessage);
-      console.log('Message published to channel');
-    } catch (error) {
-      console.error('Failed to publish message:', error);
+  const handleSendMessage = () => {
+    sendWithAttachment(currentMessage);
+  };
+
+  /**
+   * Runs a slash command parsed by MessageInput (see utils/slashCommands.js)
+   * @param {object} command - { name, args }
+   */
+  const handleSlashCommand = ({ name, args }) => {
+    if (findCommand(name)?.requiresSignIn && !isSignedIn) {
+      setAuthMode('signin');
+      setShowAuthModal(true);
+      return;
     }
 
-    saveMessage(GAME_ID, {
-      text: currentMessage,
-      username: currentUsername,
-      timestamp: messageId,
-      type: 'message',
-    });
-  }, [currentMessage, currentUsername, isSignedIn, awardXPForMessage]);
+    // /me and /shrug go through sendTextMessage, which clears the input only
+    // once the message is accepted — slow mode may hold it back
+    if (name !== 'me' && name !== 'shrug') {
+      setCurrentMessage('');
+    }
+
+    switch (name) {
+      case 'poll':
+        handleCreatePoll(args.question, args.options);
+        break;
+      case 'gif':
+        setKlipyQuery(args.query);
+        setShowKlipyPicker(true);
+        break;
+      case 'me':
+        sendWithAttachment(args.text, { emote: true });
+        break;
+      case 'shrug':
+        sendWithAttachment(args.text);
+        break;
+      case 'react':
+        handleReaction(args.emoji);
+        break;
+      case 'mute':
+        handleMute(args.username);
+        break;
+      case 'unmute':
+        handleUnmute(args.username);
+        break;
+      default:
+        console.warn('No handler for command:', name);
+    }
+  };
+
+  /**
+   * Hides someone's messages (for this user only)
+   * @param {string} username - Name typed after /mute
+   */
+  const handleMute = (username) => {
+    const lowered = username.toLowerCase();
+    const target = mentionCandidates.find(candidate => candidate.username.toLowerCase() === lowered);
+    if (!target) {
+      showToast(`No one called ${username} has chatted here recently`, 'error');
+      return;
+    }
+    if (mutedUsers.some(muted => muted.id === target.id)) {
+      showToast(`${target.username} is already muted`, 'info');
+      return;
+    }
+
+    setMutedUsers(prev => [...prev, target]);
+    showToast(`🔇 Muted ${target.username} — /unmute @${target.username} to undo`, 'info');
+  };
+
+  /**
+   * Shows a muted user's messages again
+   * @param {string} username - Name typed after /unmute
+   */
+  const handleUnmute = (username) => {
+    const lowered = username.toLowerCase();
+    const target = mutedUsers.find(muted => muted.username.toLowerCase() === lowered);
+    if (!target) {
+      showToast(`${username} isn't muted`, 'info');
+      return;
+    }
+
+    setMutedUsers(prev => prev.filter(muted => muted.id !== target.id));
+    showToast(`🔊 Unmuted ${target.username}`, 'info');
+  };
+
+  /**
+   * Starts a reply to a message (the quote shows above the input)
+   */
+  const handleReply = (message) => {
+    if (!isSignedIn) {
+      setAuthMode('signin');
+      setShowAuthModal(true);
+      return;
+    }
+    // ChatDisplay hands us the masked copy; quote what was actually written
+    setReplyingTo(findOriginalMessage(message));
+  };
+
+  const handleCancelReply = () => {
+    setReplyingTo(null);
+  };
 
   const addSystemMessage = (text) => {
-    const systemMessage = {
-      id: Date.now(),
-      username: 'System',
-      text,
-      timestamp: getCurrentTimestamp(),
-      type: 'system',
-    };
     console.log('System message:', text);
-    setMessages(prev => [...prev, systemMessage]);
+    setMessages(prev => [...prev, createSystemMessage(text)]);
   };
 
   // ----------------------------------------
@@ -430,9 +1671,13 @@ function App() {
     setShowCreatePoll(false);
   };
 
-  const handleCreatePoll = (question, optionTexts) => {
+  /**
+   * Creates a poll: saved first, so nobody votes on a poll that isn't
+   * stored, then published to the room
+   */
+  const handleCreatePoll = async (question, optionTexts) => {
     const newPoll = {
-      id: `poll-${Date.now()}`,
+      id: `poll-${createMessageId(user?.id)}`,
       question,
       options: optionTexts.map((text, index) => ({
         id: index + 1,
@@ -440,64 +1685,85 @@ function App() {
         votes: 0,
       })),
       totalVotes: 0,
+      voters: {},
       createdBy: currentUsername,
-      createdAt: getCurrentTimestamp(),
+      createdById: user?.id,
+      createdAt: Date.now(),
       status: 'active',
     };
 
     console.log('Creating new poll:', newPoll);
-    setPolls([newPoll, ...polls]);
+    const saved = await savePoll(currentRoomId, newPoll);
+    if (!saved) {
+      showToast("Couldn't create the poll — try again", 'error');
+      return;
+    }
+
+    setPolls(prev => upsertPoll(prev, newPoll));
     setShowCreatePoll(false);
     addSystemMessage(`📊 New poll created: "${question}"`);
+
+    publishEvent({ id: `poll-created:${newPoll.id}`, type: 'poll-created', poll: newPoll });
   };
 
-  const handleVote = (pollId, optionId) => {
+  const handleVote = async (pollId, optionId) => {
     if (!isSignedIn) {
       setAuthMode('signin');
       setShowAuthModal(true);
       return;
     }
 
+    if (userVotes[pollId] !== undefined) return;
+
     console.log('Voting on poll:', pollId, 'option:', optionId);
 
-    setUserVotes(prev => ({ ...prev, [pollId]: optionId }));
-
-    setPolls(prev =>
-      prev.map(poll => {
-        if (poll.id === pollId) {
-          return {
-            ...poll,
-            options: poll.options.map(opt =>
-              opt.id === optionId ? { ...opt, votes: opt.votes + 1 } : opt
-            ),
-            totalVotes: poll.totalVotes + 1,
-          };
-        }
-        return poll;
-      })
-    );
+    setPolls(prev => applyPollVote(prev, pollId, optionId, user.id));
+
+    // The stored poll is the source of truth for "one vote per user"
+    const result = await savePollVote(currentRoomId, pollId, optionId, user.id);
+    if (!result) {
+      // Not stored, so not shared — take the optimistic vote back
+      setPolls(prev => removePollVote(prev, pollId, user.id));
+      showToast("Couldn't save your vote — try again", 'error');
+      return;
+    }
+
+    if (!result.accepted) {
+      const storedPoll = sanitizePoll(result.poll);
+      if (storedPoll) {
+        setPolls(prev => upsertPoll(prev, storedPoll));
+      }
+      showToast('You already voted on this poll', 'info');
+      return;
+    }
+
+    publishEvent({
+      id: `poll-vote:${pollId}:${user.id}`,
+      type: 'poll-vote',
+      pollId,
+      optionId,
+      voterId: user.id,
+    });
   };
 
-  const handleClosePoll = (pollId) => {
+  const handleClosePoll = async (pollId) => {
+    const poll = polls.find(p => p.id === pollId);
+    if (!poll || poll.status !== 'active') return;
+
     console.log('Closing poll:', pollId);
 
-    setPolls(prev =>
-      prev.map(poll => {
-        if (poll.id === pollId) {
-          let winner = poll.options[0];
-          poll.options.forEach(opt => {
-            if (opt.votes > winner.votes) winner = opt;
-          });
+    // The stored totals are the final result, the same one late joiners load
+    const storedPoll = sanitizePoll(await savePollClose(currentRoomId, pollId, user?.id));
+    if (!storedPoll) {
+      showToast("Couldn't close the poll — try again", 'error');
+      return;
+    }
 
-          addSystemMessage(
-            `📊 Poll closed! "${poll.question}" - Winner: ${winner.text} (${winner.votes} votes)`
-          );
+    const closedPoll = { ...storedPoll, status: 'closed' };
+    setPolls(prev => upsertPoll(prev, closedPoll));
+    addSystemMessage(getPollClosedText(closedPoll));
 
-          return { ...poll, status: 'closed' };
-        }
-        return poll;
-      })
-    );
+    publishEvent({ id: `poll-closed:${pollId}`, type: 'poll-closed', poll: closedPoll });
   };
 
   // ----------------------------------------
@@ -505,9 +1771,16 @@ function App() {
   // ----------------------------------------
 
   const handleReaction = useCallback(async (emoji) => {
+    const rate = takeToken(reactionBucketRef.current, REACTION_RATE_LIMIT, Date.now());
+    reactionBucketRef.current = rate.bucket;
+    if (!rate.allowed) {
+      console.log('⏳ Reaction throttled:', emoji);
+      return;
+    }
+
     console.log('Reaction sent:', emoji);
 
-    const messageId = Date.now();
+    const messageId = createMessageId(memberId);
 
     setReactionTimestamps(prev => [
       ...prev,
@@ -519,23 +1792,221 @@ function App() {
       [emoji]: prev[emoji] + 1,
     }));
 
-    processedMessageIds.current.add(messageId);
-
     const reactionMessage = {
       id: messageId,
       username: currentUsername,
       text: emoji,
-      timestamp: getCurrentTimestamp(),
+      timestamp: Date.now(),
       type: 'reaction',
     };
     setMessages(prev => [...prev, reactionMessage]);
 
-    try {
-      await events.post(CHAT_CHANNEL, reactionMessage);
-    } catch (error) {
-      console.error('Failed to publish reaction:', error);
+    publishEvent(reactionMessage);
+  }, [currentUsername, memberId, publishEvent]);
+
+  /**
+   * Toggles our reaction on a specific message. If this reaction is the one
+   * that takes the message over the smackdown threshold, the Lambda says so
+   * and we award the author their XP and let the room know.
+   */
+  const handleMessageReaction = async (messageId, emoji) => {
+    if (!isSignedIn) {
+      setAuthMode('signin');
+      setShowAuthModal(true);
+      return;
+    }
+
+    const message = messages.find(m => m.id === messageId);
+    if (!message || message.deleted) return;
+
+    // Shares the reaction bar's bucket — a click is a click
+    const rate = takeToken(reactionBucketRef.current, REACTION_RATE_LIMIT, Date.now());
+    reactionBucketRef.current = rate.bucket;
+    if (!rate.allowed) {
+      console.log('⏳ Reaction throttled:', emoji);
+      return;
+    }
+
+    const remove = Boolean(message.reactions?.[emoji]?.includes(user.id));
+    const reaction = {
+      id: `message-reaction:${createMessageId(user.id)}`,
+      type: 'message-reaction',
+      messageId,
+      emoji,
+      reactorId: user.id,
+      remove,
+    };
+    setMessages(prev => applyMessageReaction(prev, reaction));
+
+    // Saved first so a reaction the Lambda refuses (or never gets) isn't shared
+    const result = await saveMessageReaction(currentRoomId, messageId, emoji, user.id, remove);
+    if (!result) {
+      setMessages(prev => applyMessageReaction(prev, { ...reaction, remove: !remove }));
+      showToast("Couldn't save your reaction — try again", 'error');
+      return;
     }
-  }, [currentUsername]);
+    publishEvent(reaction);
+
+    // The Lambda awards the author's XP when it flags the smackdown; we only show it
+    if (!result.smackdownAwarded || !message.authorId) return;
+
+    console.log('Smackdown! Lambda awarded XP to the author of', messageId);
+    setMessages(prev => prev.map(msg =>
+      msg.id === messageId ? { ...msg, smackdown: true } : msg
+    ));
+    publishEvent({
+      id: `smackdown:${messageId}`,
+      type: 'smackdown',
+      messageId,
+      authorId: message.authorId,
+    });
+  };
+
+  // ----------------------------------------
+  // EVENT HANDLERS - Pins and announcement
+  // ----------------------------------------
+
+  /**
+   * Saves a pin, then shares it with the room
+   */
+  const pinToRoom = async (pin) => {
+    const saved = await savePin(currentRoomId, pin);
+    if (!saved) {
+      showToast("Couldn't pin that — try again", 'error');
+      return;
+    }
+
+    const event = { id: `room-pin:${createMessageId(user.id)}`, type: 'room-pin', pin };
+    setPins(prev => applyPinEvent(prev, event));
+    publishEvent(event);
+  };
+
+  /**
+   * Unpins a message or clears the announcement
+   */
+  const handleUnpin = async (pinId) => {
+    if (!canPin) return;
+
+    const saved = await saveUnpin(currentRoomId, pinId, user.id);
+    if (!saved) {
+      showToast("Couldn't unpin that — try again", 'error');
+      return;
+    }
+
+    const event = {
+      id: `room-unpin:${createMessageId(user.id)}`,
+      type: 'room-unpin',
+      pinId,
+      unpinnedById: user.id,
+    };
+    setPins(prev => applyPinEvent(prev, event));
+    publishEvent(event);
+  };
+
+  const handleTogglePin = (message) => {
+    if (!canPin) return;
+
+    if (pinnedMessageIds.has(message.id)) {
+      handleUnpin(`message:${message.id}`);
+    } else {
+      pinToRoom(createMessagePin(findOriginalMessage(message), { id: user.id, username: currentUsername }));
+    }
+  };
+
+  /**
+   * Sets the room's chat filter level: saved first (the Lambda checks we're
+   * allowed to), then published so everyone in the room switches
+   * @param {string} level - One of FILTER_LEVELS
+   */
+  const handleSetFilterLevel = async (level) => {
+    if (!canModerateRoom || level === filterLevel) return;
+
+    const saved = await saveRoomFilter(currentRoomId, level, user.id);
+    if (!saved) {
+      showToast("Couldn't change the chat filter — try again", 'error');
+      return;
+    }
+
+    setFilterLevel(level);
+    publishEvent({
+      id: `room-filter:${createMessageId(user.id)}`,
+      type: FILTER_EVENT_TYPE,
+      level,
+      setById: user.id,
+      setBy: currentUsername,
+    });
+    addSystemMessage(`🛡️ You set the chat filter to ${FILTER_LEVEL_LABELS[level]}`);
+  };
+
+  /**
+   * Turns slow mode on or off for the room: saved first (the Lambda checks
+   * we're allowed to, and enforces it on saves), then published
+   * @param {number} seconds - One of SLOW_MODE_OPTIONS (0 = off)
+   */
+  const handleSetSlowMode = async (seconds) => {
+    if (!canModerateRoom || seconds === slowModeSeconds) return;
+
+    const saved = await saveRoomSlowMode(currentRoomId, seconds, user.id);
+    if (!saved) {
+      showToast("Couldn't change slow mode — try again", 'error');
+      return;
+    }
+
+    setSlowModeSeconds(seconds);
+    publishEvent({
+      id: `room-slow-mode:${createMessageId(user.id)}`,
+      type: SLOW_MODE_EVENT_TYPE,
+      seconds,
+      setById: user.id,
+      setBy: currentUsername,
+    });
+    addSystemMessage(`🐢 You ${describeSlowModeChange(seconds)}`);
+  };
+
+  const handleSetAnnouncement = (text) => {
+    if (!canPin) return;
+
+    const announcementText = normalizeMessageInput(text, MAX_ANNOUNCEMENT_LENGTH);
+    if (!announcementText) return;
+    pinToRoom(createAnnouncementPin(announcementText, { id: user.id, username: currentUsername }));
+  };
+
+  // ----------------------------------------
+  // EVENT HANDLERS - Rooms
+  // ----------------------------------------
+
+  const handleSelectRoom = (roomId) => {
+    setShowRoomList(false);
+    if (roomId === currentRoomId) return;
+
+    console.log('Switching to room:', roomId);
+    setCurrentRoomId(roomId);
+  };
+
+  const handleCreateRoom = (name) => {
+    if (!isSignedIn) {
+      setAuthMode('signin');
+      setShowAuthModal(true);
+      return;
+    }
+
+    const newRoom = {
+      id: createRoomId(name),
+      name: normalizeMessageInput(name, 60),
+      createdBy: currentUsername,
+      createdById: user.id,
+      createdAt: Date.now(),
+    };
+
+    console.log('Creating room:', newRoom);
+    setRooms(prev => [...prev, newRoom]);
+    handleSelectRoom(newRoom.id);
+    saveRoom(newRoom);
+  };
+
+  const handleToggleRoomList = () => {
+    setShowRoomList(prev => !prev);
+  };
 
   // ----------------------------------------
   // EVENT HANDLERS - Polls Sidebar
@@ -560,46 +2031,18 @@ function App() {
 
   const handleCloseKlipyPicker = () => {
     setShowKlipyPicker(false);
+    setKlipyQuery('');
   };
 
+  /**
+   * Stages the picked GIF above the input; it goes out with the next
+   * message (its caption), or on its own if the user just hits Send
+   */
   const handleSelectGif = (url, alt, width, height) => {
     console.log('GIF selected:', alt);
 
-    const gifData = { type: 'gif', url, alt, width, height };
-    const messageId = Date.now();
-
-    const newMessage = {
-      id: messageId,
-      username: sanitizeText(currentUsername),
-      text: '', // GIF-only message (no caption for now)
-      timestamp: getCurrentTimestamp(),
-      type: 'message',
-      media: gifData,
-    };
-
-    console.log('🟡 Publishing message to AppSync:', newMessage);
-    console.log('🟡 Media field being sent:', newMessage.media);
-
-    // Optimistic UI update
-    processedMessageIds.current.add(messageId);
-    setMessages(prev => [...prev, newMessage]);
-
-    // Award XP
-    awardXPForMessage([...messages, newMessage]);
-
-    // Publish to AppSync Events
-    events.post(CHAT_CHANNEL, newMessage).catch(console.error);
-
-    // Save to DynamoDB
-    saveMessage(GAME_ID, {
-      text: '',
-      username: currentUsername,
-      timestamp: messageId,
-      type: 'message',
-      media: gifData,
-    });
-
-    setShowKlipyPicker(false);
+    setAttachment({ type: 'gif', url, alt, width, height });
+    handleCloseKlipyPicker();
   };
 
   // ----------------------------------------
@@ -610,9 +2053,35 @@ function App() {
     <div className="app">
       {/* HEADER */}
       <header className="top-bar">
+        <button
+          className={`mobile-menu-button ${showRoomList ? 'active' : ''}`}
+          onClick={handleToggleRoomList}
+          aria-expanded={showRoomList}
+          aria-label={showRoomList ? 'Hide rooms' : 'Show rooms'}
+        >
+          <span className="hamburger-icon">
+            <span></span>
+            <span></span>
+            <span></span>
+          </span>
+        </button>
+
         <h1 className="app-title">Smack Talk Central</h1>
 
         <div className="top-bar-right">
+          <div className="current-game">
+            <span className="current-game-label">Room</span>
+            <span className="current-game-name">{currentRoom.name}</span>
+          </div>
+
+          <span
+            className={`connection-pill connection-${connectionStatus}`}
+            role="status"
+            title={CONNECTION_LABELS[connectionStatus]}
+          >
+            {CONNECTION_LABELS[connectionStatus]}
+          </span>
+
           {isSignedIn && (
             <div className="user-level-badge">
               <span className="level-name">{userStats.level.name}</span>
@@ -638,6 +2107,41 @@ function App() {
   </div>
 )}
 
+          <button
+            className={`polls-toggle-button ${showSearch ? 'active' : ''}`}
+            onClick={() => setShowSearch(true)}
+            aria-label="Search chat history"
+          >
+            <span className="polls-toggle-icon">🔍</span>
+            <span className="polls-toggle-text">Search</span>
+          </button>
+
+          <button
+            className={`polls-toggle-button presence-toggle-button ${showRoster ? 'active' : ''}`}
+            onClick={() => setShowRoster(prev => !prev)}
+            aria-expanded={showRoster}
+            aria-label={`${rosterMembers.length} online — show who's in the room`}
+          >
+            <span className="polls-toggle-icon">👥</span>
+            <span className="presence-count">{rosterMembers.length}</span>
+            <span className="polls-toggle-text">Online</span>
+          </button>
+
+          <button
+            className={`polls-toggle-button ${showFilterSettings ? 'active' : ''}`}
+            onClick={() => setShowFilterSettings(prev => !prev)}
+            aria-expanded={showFilterSettings}
+            aria-label={`Chat rules: filter ${FILTER_LEVEL_LABELS[filterLevel]}, slow mode ${formatSlowMode(slowModeSeconds)}`}
+          >
+            <span className="polls-toggle-icon">🛡️</span>
+            <span className="polls-toggle-text">{FILTER_LEVEL_LABELS[filterLevel]}</span>
+            {slowModeSeconds > 0 && (
+              <span className="slow-mode-badge" title="Slow mode">
+                🐢 {formatSlowMode(slowModeSeconds)}
+              </span>
+            )}
+          </button>
+
           <button
             className={`polls-toggle-button ${showPollsSidebar ? 'active' : ''}`}
             onClick={handleTogglePollsSidebar}
@@ -652,29 +2156,103 @@ function App() {
         </div>
       </header>
 
+      {/* PRESENCE ROSTER - dropdown under the header */}
+      <PresenceRoster
+        members={rosterMembers}
+        currentMemberId={memberId}
+        isOpen={showRoster}
+        onClose={() => setShowRoster(false)}
+      />
+
+      {/* CHAT RULES - filter and slow mode, dropdown under the header */}
+      <FilterSettings
+        isOpen={showFilterSettings}
+        onClose={() => setShowFilterSettings(false)}
+        level={filterLevel}
+        canManage={canModerateRoom}
+        onChangeLevel={handleSetFilterLevel}
+        showFilteredText={showFilteredText}
+        onToggleShowFilteredText={setShowFilteredText}
+        slowModeSeconds={slowModeSeconds}
+        onChangeSlowMode={handleSetSlowMode}
+      />
+
       {/* MAIN CONTENT */}
       <div className="main-content">
+        {/* LEFT SIDEBAR - Room lobby */}
+        <aside className={`sidebar ${showRoomList ? 'mobile-visible' : ''}`}>
+          <RoomSelector
+            rooms={rooms}
+            currentRoomId={currentRoomId}
+            onSelectRoom={handleSelectRoom}
+            onCreateRoom={handleCreateRoom}
+            canCreateRoom={isSignedIn}
+          />
+        </aside>
+        {showRoomList && (
+          <div className="mobile-backdrop" onClick={() => setShowRoomList(false)} />
+        )}
+
         {/* CHAT AREA */}
         <main className="chat-area">
-          {connectionError && (
-            <div className="connection-error">{connectionError}</div>
-          )}
-          {isConnected && (
-            <div className="connection-status">Live chat connected</div>
+          {connectionStatus === 'reconnecting' && (
+            <div className="connection-error">
+              Connection lost. Reconnecting…
+              {outboxCount > 0 &&
+                ` ${outboxCount} unsent item${outboxCount !== 1 ? 's' : ''} will send when we're back.`}
+            </div>
           )}
 
-          <ChatDisplay messages={messages} />
+          <PinnedBar
+            announcement={announcement}
+            messagePins={displayPins}
+            canManage={canPin}
+            onOpenPin={(pin) => handleJumpToMessage(pin.messageId)}
+            onUnpin={handleUnpin}
+            onSetAnnouncement={handleSetAnnouncement}
+          />
+
+          <ChatDisplay
+            messages={displayMessages}
+            onRetryMessage={handleRetryMessage}
+            onReply={handleReply}
+            currentUserId={user?.id}
+            isModerator={moderator}
+            onEditMessage={handleEditMessage}
+            onDeleteMessage={handleDeleteMessage}
+            onReactToMessage={handleMessageReaction}
+            pinnedMessageIds={pinnedMessageIds}
+            onTogglePin={canPin ? handleTogglePin : undefined}
+            hasOlderMessages={historyCursor !== null || cachedCount > 0}
+            historyLoadFailed={historyLoadFailed}
+            onRetryHistory={() => setHistoryAttempt(prev => prev + 1)}
+            loadingOlderMessages={loadingOlder}
+            onLoadOlderMessages={handleLoadOlderMessages}
+            jumpRequest={jumpRequest}
+            onPinnedChange={(pinned) => { pinnedToBottomRef.current = pinned; }}
+          />
 
           <ReactionBar
             reactionCounts={reactionCounts}
             onReaction={handleReaction}
           />
 
+          <TypingIndicator usernames={typingUsernames} />
+
           <MessageInput
             currentMessage={currentMessage}
             onMessageChange={handleMessageChange}
             onSendMessage={handleSendMessage}
+            onSlashCommand={handleSlashCommand}
             onOpenKlipyPicker={handleOpenKlipyPicker}
+            onTypingChange={handleTypingChange}
+            replyingTo={displayReplyingTo}
+            cooldownUntil={cooldownUntil}
+            slowModeSeconds={slowModeSeconds}
+            onCancelReply={handleCancelReply}
+            attachment={attachment}
+            onRemoveAttachment={() => setAttachment(null)}
+            mentionCandidates={mentionCandidates}
           />
         </main>
 
@@ -698,9 +2276,22 @@ function App() {
         onSubmit={handleCreatePoll}
       />
 
+      {/* SEARCH PANEL MODAL */}
+      <SearchPanel
+        isOpen={showSearch}
+        roomId={currentRoomId}
+        onClose={() => setShowSearch(false)}
+        formatText={displayText}
+        onOpenResult={(result) => {
+          setShowSearch(false);
+          handleJumpToMessage(result.id);
+        }}
+      />
+
       {/* KLIPY PICKER MODAL */}
       <KlipyPicker
         isOpen={showKlipyPicker}
+        initialQuery={klipyQuery}
         onClose={handleCloseKlipyPicker}
         onSelectContent={handleSelectGif}
       />
@@ -1,8 +1,122 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
+import * as dynamodbService from './services/dynamodbService';
+import { getUserStats, incrementXP, XP_RULES } from './services/userStatsService';
+import { getTrendingContent } from './services/klipyService';
+
+const { saveMessage, getRoomSlowMode } = dynamodbService;
+
+// A fixed object, like Clerk's, so effects keyed on the user don't re-run
+const mockUser = { id: 'user-1', username: 'fan' };
+
+jest.mock('@clerk/clerk-react', () => ({
+  useUser: () => ({ isSignedIn: true, user: mockUser }),
+  SignIn: () => null,
+  SignUp: () => null,
+  UserButton: () => null,
+}));
+
+// The Lambda, stats API and Klipy are mocked; the chat runs on the local transport
+jest.mock('./services/dynamodbService');
+
+jest.mock('./services/userStatsService', () => ({
+  ...jest.requireActual('./services/userStatsService'),
+  getUserStats: jest.fn(),
+  incrementXP: jest.fn(),
+}));
+
+jest.mock('./services/klipyService', () => ({
+  ...jest.requireActual('./services/klipyService'),
+  getTrendingContent: jest.fn(),
+}));
+
+const TOUCHDOWN_GIF = {
+  id: 'gif-1',
+  title: 'Touchdown',
+  url: 'https://media.giphy.com/media/abc/giphy.gif',
+  previewUrl: 'https://media.giphy.com/media/abc/200w.gif',
+  width: 480,
+  height: 270,
+};
+
+// CRA resets mocks before each test, so implementations are set here
+beforeEach(() => {
+  Object.values(dynamodbService).forEach(fn => {
+    if (jest.isMockFunction(fn)) fn.mockResolvedValue(null);
+  });
+  saveMessage.mockImplementation(async (gameId, message) => message);
+  dynamodbService.getMessages.mockResolvedValue({ messages: [], nextCursor: null, failed: false });
+  dynamodbService.getPolls.mockResolvedValue([]);
+  dynamodbService.getRooms.mockResolvedValue([]);
+  dynamodbService.getPins.mockResolvedValue([]);
+  getRoomSlowMode.mockResolvedValue(0);
+  getUserStats.mockResolvedValue(null);
+  incrementXP.mockResolvedValue(null);
+  getTrendingContent.mockResolvedValue([TOUCHDOWN_GIF]);
+});
 
 test('renders learn react link', () => {
   render(<App />);
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+describe('App slash commands with a staged GIF', () => {
+  // jsdom doesn't implement scrolling
+  beforeAll(() => {
+    Element.prototype.scrollTo = jest.fn();
+    Element.prototype.scrollIntoView = jest.fn();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  const stageGif = async () => {
+    fireEvent.click(screen.getByRole('button', { name: 'Send GIF or Clip' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Select Touchdown' }));
+    return screen.findByPlaceholderText('Add a caption...');
+  };
+
+  const runCommand = (input, text) => {
+    fireEvent.change(input, { target: { value: text } });
+    fireEvent.keyPress(input, { key: 'Enter', code: 'Enter', charCode: 13 });
+  };
+
+  test('/me sends the GIF with the trimmed caption and awards XP', async () => {
+    render(<App />);
+    const input = await stageGif();
+
+    runCommand(input, '/me   does the griddy   ');
+
+    await waitFor(() => expect(saveMessage).toHaveBeenCalled());
+    const [, record] = saveMessage.mock.calls[0];
+    expect(record).toMatchObject({
+      text: 'does the griddy',
+      emote: true,
+      authorId: 'user-1',
+      media: { type: 'gif', url: 'https://media.giphy.com/media/abc/giphy.gif' },
+    });
+    expect(incrementXP).toHaveBeenCalledWith('user-1', 'fan', XP_RULES.message);
+
+    // Sent: the input and the staged GIF are cleared
+    expect(screen.queryByPlaceholderText('Add a caption...')).toBeNull();
+    expect(screen.getByPlaceholderText('Type your message, or / for commands...')).toHaveValue('');
+  });
+
+  test('a /shrug held back by slow mode keeps its text and GIF', async () => {
+    getRoomSlowMode.mockResolvedValue(10);
+    render(<App />);
+    await waitFor(() => expect(getRoomSlowMode).toHaveBeenCalled());
+
+    runCommand(screen.getByPlaceholderText('Type your message, or / for commands...'), 'first');
+    await waitFor(() => expect(saveMessage).toHaveBeenCalledTimes(1));
+
+    const input = await stageGif();
+    runCommand(input, '/shrug refs gonna ref');
+
+    expect(saveMessage).toHaveBeenCalledTimes(1);
+    expect(input).toHaveValue('/shrug refs gonna ref');
+    expect(screen.getByAltText('Touchdown')).toBeInTheDocument();
+  });
+});
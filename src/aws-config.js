@@ -16,7 +16,14 @@ const awsConfig = {
   },
 };
 
-// Channel name for game chat
-export const CHAT_CHANNEL = '/default/game-chat';
+// Channel namespace for game chat — each room gets its own channel under it
+export const CHAT_CHANNEL_PREFIX = '/default/game-chat';
+
+/**
+ * Get the AppSync Events channel name for a room
+ * @param {string} roomId - Room ID (letters, numbers and dashes only)
+ * @returns {string} Channel name, e.g. /default/game-chat/smacktalk-main
+ */
+export const getRoomChannel = (roomId) => `${CHAT_CHANNEL_PREFIX}/${roomId}`;
 
 export default awsConfig;
@@ -3,7 +3,13 @@
  *
  * PURPOSE: Shows all the chat messages for the selected game.
  * Each message displays the username, message text, and timestamp.
- * The chat automatically scrolls to the bottom when new messages arrive.
+ * New messages are followed automatically while the user is at the bottom
+ * (and always when they're our own). Anyone reading back stays put: a
+ * floating "N new messages ↓" pill counts what arrived, and an unread
+ * divider marks where the new messages start.
+ *
+ * Times read "just now" / "5m ago" (the full date and time on hover), and
+ * a separator marks where each day starts in rooms that span several.
  *
  * Supports different message types:
  * - 'message': Regular chat message
@@ -15,30 +21,451 @@
  *   - id: Unique identifier for the message
  *   - username: Who sent the message
  *   - text: The actual message content
- *   - timestamp: When the message was sent
+ *   - timestamp: When the message was sent (epoch ms)
  *   - type: 'message', 'reaction', or 'system'
+ *   - status: (our own messages only) 'pending', 'sent', or 'failed'
+ *   - replyTo: (replies only) { id, username, text } of the quoted message
+ *   - authorId: Clerk ID of the sender (decides who may edit / delete)
+ *   - editedAt: Set once the message has been edited — shows "(edited)"
+ *   - deleted: True for a deleted message — shown as a tombstone
+ *   - reactions: { [emoji]: [reactorId, ...] } — shown as chips under the message
+ *   - smackdown: True once the message crossed the smackdown threshold
+ *   - mentions: [{ id, username }] of @mentioned users — highlighted in the text,
+ *     and the whole message is highlighted when it mentions the current user
+ * - onRetryMessage: Function called with (messageId) when a failed message is tapped
+ * - onReply: Function called with (message) when the reply button is clicked
+ * - currentUserId: Signed-in user's ID (null when signed out)
+ * - isModerator: Whether the user may delete anyone's messages
+ * - onEditMessage: Function called with (messageId, newText) to save an edit
+ * - onDeleteMessage: Function called with (messageId) to delete a message
+ * - onReactToMessage: Function called with (messageId, emoji) to toggle a reaction
+ * - pinnedMessageIds: Set of pinned message IDs (marked with 📌)
+ * - onTogglePin: Function called with (message) to pin / unpin it — only
+ *   passed to users who may manage pins
+ * - hasOlderMessages: Whether there's older history to load
+ * - loadingOlderMessages: True while an older page is loading
+ * - onLoadOlderMessages: Function called when the user scrolls to the top
+ * - historyLoadFailed: True when the newest page of history couldn't be loaded
+ * - onRetryHistory: Function to try loading the history again
+ * - jumpRequest: { messageId, nonce } — scrolls to and highlights that message
+ *   (a new nonce jumps again, e.g. opening the same search result twice)
+ * - onPinnedChange: Function called with (pinned) when the list starts or
+ *   stops following the newest message
+ *
+ * VIRTUALIZED: Only the rows near the viewport are in the DOM, so a game
+ * day with thousands of messages and GIFs stays fast. Rows can be any
+ * height — each is measured as it renders (and again when a GIF loads or
+ * reactions wrap), and estimated until then (see utils/virtualList.js).
+ * While the user is at the bottom the list stays pinned there as rows grow.
+ *
+ * When older messages are prepended, or rows above the viewport change
+ * height, the scroll position is kept anchored to what the user was
+ * looking at instead of jumping.
+ *
+ * Clicking a reply's quote scrolls to the original message and briefly
+ * highlights it, as long as the original is still loaded (rendered or not).
  */
 
-import { useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { canEditMessage, canDeleteMessage } from '../utils/messages';
+import {
+  MESSAGE_REACTION_EMOJIS,
+  SMACKDOWN_THRESHOLD,
+  getReactionChips,
+} from '../utils/reactions';
+import { splitMentions, mentionsUser } from '../utils/mentions';
+import { unescapeText } from '../utils/sanitize';
+import { buildOffsets, getVisibleRange } from '../utils/virtualList';
+import {
+  RELATIVE_TIME_REFRESH_MS,
+  formatRelativeTime,
+  formatAbsoluteTime,
+  formatDayLabel,
+  isSameDay,
+} from '../utils/time';
+import RichText from './RichText';
+
+// Start loading older history when scrolled this close to the top
+const LOAD_OLDER_THRESHOLD_PX = 80;
+
+// Within this distance of the bottom the list stays pinned to the newest message
+const BOTTOM_THRESHOLD_PX = 40;
+
+// Rows rendered above and below the viewport
+const OVERSCAN_PX = 600;
+
+// How long a jumped-to message stays highlighted
+const HIGHLIGHT_MS = 2000;
+
+// Labels for the delivery state of our own messages
+const STATUS_LABELS = {
+  pending: 'Sending…',
+  sent: '✓ Sent',
+  failed: '⚠ Not delivered — tap to retry',
+};
+
+function ChatDisplay({
+  messages,
+  onRetryMessage,
+  onReply,
+  currentUserId,
+  isModerator,
+  onEditMessage,
+  onDeleteMessage,
+  onReactToMessage,
+  pinnedMessageIds,
+  onTogglePin,
+  hasOlderMessages,
+  loadingOlderMessages,
+  onLoadOlderMessages,
+  historyLoadFailed = false,
+  onRetryHistory,
+  jumpRequest,
+  onPinnedChange,
+}) {
+  // The scrolling container, and its distance from the bottom when we asked
+  // for older messages (so we can restore it once they're prepended)
+  const scrollRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  const lastScrollTopRef = useRef(0);
+
+  // The virtual list inside the container (below the history status line)
+  const listRef = useRef(null);
+
+  // Keep the newest message in view as rows grow (GIFs loading, new
+  // reactions) — true until the user scrolls up
+  const stickToBottomRef = useRef(true);
+  const onPinnedChangeRef = useRef(onPinnedChange);
+  onPinnedChangeRef.current = onPinnedChange;
 
-function ChatDisplay({ messages }) {
-  // useRef creates a reference to a DOM element
-  // We'll use this to scroll to the bottom of the chat
-  const chatEndRef = useRef(null);
+  // Messages that arrived while the user was reading back: how many, and
+  // the first one (the unread divider sits above it, even once caught up)
+  const [unread, setUnread] = useState({ count: 0, dividerId: null });
+
+  // Ticks so relative times ("2m ago") keep up while the chat is open
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), RELATIVE_TIME_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const setPinned = useCallback((pinned) => {
+    if (stickToBottomRef.current === pinned) return;
+    stickToBottomRef.current = pinned;
+    onPinnedChangeRef.current?.(pinned);
+
+    // Back at the bottom means caught up
+    if (pinned) {
+      setUnread(prev => (prev.count === 0 ? prev : { ...prev, count: 0 }));
+    }
+  }, []);
+
+  // Measured row heights by message ID. The ref is updated as rows resize;
+  // the state copy re-renders the list with the new offsets.
+  const heightsRef = useRef(new Map());
+  const [heights, setHeights] = useState(() => new Map());
+
+  // Top of the viewport (relative to the list) and its height
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+
+  const offsets = useMemo(() => buildOffsets(messages, heights), [messages, heights]);
+  const indexById = useMemo(
+    () => new Map(messages.map((message, index) => [message.id, index])),
+    [messages]
+  );
+
+  // Latest messages and layout, for observers and handlers that outlive a render
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
+  const offsetsRef = useRef(offsets);
+  offsetsRef.current = offsets;
+  const indexByIdRef = useRef(indexById);
+  indexByIdRef.current = indexById;
+
+  const { start, end } = getVisibleRange(offsets, viewport.scrollTop, viewport.height, OVERSCAN_PX);
 
   // Track failed image URLs to hide them gracefully
   const [failedImages, setFailedImages] = useState(new Set());
 
-  // useEffect runs code when something changes
-  // Here, we scroll to bottom whenever messages array changes
+  // Rendered rows by message ID (for jumps), and each row's message ID (for resizes)
+  const messageRefs = useRef(new Map());
+  const rowIds = useRef(new WeakMap());
+  const resizeObserverRef = useRef(null);
+
+  // A message to center once its row has rendered
+  const pendingJumpRef = useRef(null);
+
+  // The message briefly highlighted after jumping to it
+  const [highlightedId, setHighlightedId] = useState(null);
+  const highlightTimerRef = useRef(null);
+
+  // Inline edit of one of our own messages
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+
+  // The message whose emoji picker is open (one at a time)
+  const [reactionPickerId, setReactionPickerId] = useState(null);
+
+  /**
+   * Reads the scroll position into state — only when it changes which rows
+   * are rendered, so scrolling within the rendered window doesn't re-render
+   */
+  const syncViewport = useCallback(() => {
+    const container = scrollRef.current;
+    if (!container) return;
+
+    const listTop = listRef.current ? listRef.current.offsetTop : 0;
+    const next = { scrollTop: container.scrollTop - listTop, height: container.clientHeight };
+
+    setViewport(prev => {
+      const prevRange = getVisibleRange(offsetsRef.current, prev.scrollTop, prev.height, OVERSCAN_PX);
+      const nextRange = getVisibleRange(offsetsRef.current, next.scrollTop, next.height, OVERSCAN_PX);
+      const sameRange = prevRange.start === nextRange.start && prevRange.end === nextRange.end;
+      return sameRange && prev.height === next.height ? prev : next;
+    });
+  }, []);
+
+  /**
+   * Scrolls without animation (the container scrolls smoothly by default)
+   */
+  const scrollToPosition = useCallback((top) => {
+    const container = scrollRef.current;
+    if (!container) return;
+
+    container.scrollTo({ top, behavior: 'instant' });
+    syncViewport();
+  }, [syncViewport]);
+
+  /**
+   * Records new row heights. Rows that changed above the viewport would push
+   * what the user is reading down, so the scroll position moves with them —
+   * or, when pinned to the bottom, we simply stay at the bottom.
+   */
+  const handleRowResize = useCallback((entries) => {
+    const container = scrollRef.current;
+    if (!container) return;
+
+    const listTop = listRef.current ? listRef.current.offsetTop : 0;
+    const viewportTop = container.scrollTop - listTop;
+    let changed = false;
+    let shiftAbove = 0;
+
+    entries.forEach(entry => {
+      const messageId = rowIds.current.get(entry.target);
+      const index = indexByIdRef.current.get(messageId);
+      if (index === undefined) return;
+
+      const height = entry.target.offsetHeight;
+      const rowTop = offsetsRef.current[index];
+      const previous = offsetsRef.current[index + 1] - rowTop;
+      heightsRef.current.set(messageId, height);
+      if (height === previous) return;
+
+      changed = true;
+      if (rowTop < viewportTop) {
+        shiftAbove += height - previous;
+      }
+    });
+
+    if (!changed) return;
+
+    if (stickToBottomRef.current) {
+      scrollToPosition(container.scrollHeight);
+    } else if (shiftAbove !== 0) {
+      scrollToPosition(container.scrollTop + shiftAbove);
+    }
+    setHeights(new Map(heightsRef.current));
+  }, [scrollToPosition]);
+
+  // Forget the heights of messages that left the list (evicted by App)
+  useEffect(() => {
+    if (heightsRef.current.size <= indexById.size) return;
+    [...heightsRef.current.keys()].forEach(messageId => {
+      if (!indexById.has(messageId)) heightsRef.current.delete(messageId);
+    });
+  }, [indexById]);
+
+  // One observer measures every rendered row; stop it on unmount
+  useEffect(() => {
+    return () => resizeObserverRef.current?.disconnect();
+  }, []);
+
+  // Follow the container's own size (window resizes, keyboard on mobile)
+  useEffect(() => {
+    const container = scrollRef.current;
+    syncViewport();
+    if (!container || typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(() => {
+      syncViewport();
+      if (stickToBottomRef.current) {
+        scrollToPosition(container.scrollHeight);
+      }
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [syncViewport, scrollToPosition]);
+
+  /**
+   * Scrolls down to the newest message and follows new ones again
+   */
+  const scrollToNewest = useCallback(() => {
+    const container = scrollRef.current;
+    if (!container) return;
+
+    setPinned(true);
+    container.scrollTo({ top: container.scrollHeight, behavior: 'smooth' });
+  }, [setPinned]);
+
+  // When new messages arrive at the end (not when older history is prepended
+  // or a message is edited): follow them if the user is at the bottom or sent
+  // one, otherwise count them as unread
+  const lastMessageId = messages[messages.length - 1]?.id;
+  const previousLastIdRef = useRef(undefined);
+  useEffect(() => {
+    const previousLastId = previousLastIdRef.current;
+    previousLastIdRef.current = lastMessageId;
+
+    // No messages (e.g. just switched rooms): start fresh at the bottom
+    if (lastMessageId === undefined) {
+      setPinned(true);
+      setUnread({ count: 0, dividerId: null });
+      return;
+    }
+
+    const currentMessages = messagesRef.current;
+    const previousIndex = indexByIdRef.current.get(previousLastId) ?? currentMessages.length - 2;
+    const arrived = currentMessages.slice(previousIndex + 1);
+    const isOwn = (message) => Boolean(message.status)
+      || (Boolean(currentUserId) && message.authorId === currentUserId);
+
+    if (arrived.some(isOwn)) {
+      setUnread({ count: 0, dividerId: null });
+      scrollToNewest();
+      return;
+    }
+
+    if (stickToBottomRef.current) {
+      scrollToNewest();
+      return;
+    }
+
+    // Reactions and system lines don't count as new messages
+    const newMessages = arrived.filter(message => message.type === 'message');
+    if (newMessages.length === 0) return;
+
+    setUnread(prev => (prev.count === 0
+      ? { count: newMessages.length, dividerId: newMessages[0].id }
+      : { ...prev, count: prev.count + newMessages.length }));
+  }, [lastMessageId, currentUserId, setPinned, scrollToNewest]); // Run when the newest message changes
+
+  // After older messages are prepended, put the viewport back where it was
+  // (measured from the bottom, which prepending doesn't move)
+  useLayoutEffect(() => {
+    const container = scrollRef.current;
+    if (container && scrollAnchorRef.current !== null) {
+      scrollToPosition(container.scrollHeight - scrollAnchorRef.current);
+    }
+    if (!loadingOlderMessages) {
+      scrollAnchorRef.current = null;
+    }
+  }, [messages, loadingOlderMessages, scrollToPosition]);
+
+  /**
+   * Asks for older messages, remembering where the user is
+   */
+  const loadOlder = () => {
+    const container = scrollRef.current;
+    if (!container || !hasOlderMessages || loadingOlderMessages) return;
+
+    scrollAnchorRef.current = container.scrollHeight - container.scrollTop;
+    onLoadOlderMessages();
+  };
+
+  /**
+   * Tracks whether we're pinned to the bottom, keeps the rendered window in
+   * step with the scroll position, and loads older history near the top
+   * (only when scrolling up, so the scroll down to the newest message doesn't trigger it)
+   */
+  const handleScroll = () => {
+    const { scrollTop, scrollHeight, clientHeight } = scrollRef.current;
+    const scrollingUp = scrollTop < lastScrollTopRef.current;
+    lastScrollTopRef.current = scrollTop;
+
+    const nearBottom = scrollHeight - scrollTop - clientHeight < BOTTOM_THRESHOLD_PX;
+    setPinned(nearBottom || (stickToBottomRef.current && !scrollingUp));
+
+    syncViewport();
+
+    if (scrollingUp && scrollTop < LOAD_OLDER_THRESHOLD_PX) {
+      loadOlder();
+    }
+  };
+
+  // Clear the highlight timer on unmount
+  useEffect(() => {
+    return () => clearTimeout(highlightTimerRef.current);
+  }, []);
+
+  /**
+   * Keeps messageRefs in sync as rows mount and unmount, and measures them
+   */
+  const setMessageRef = (messageId, element) => {
+    if (!resizeObserverRef.current && typeof ResizeObserver !== 'undefined') {
+      resizeObserverRef.current = new ResizeObserver(handleRowResize);
+    }
+    const observer = resizeObserverRef.current;
+
+    if (element) {
+      messageRefs.current.set(messageId, element);
+      rowIds.current.set(element, messageId);
+      observer?.observe(element);
+    } else {
+      const previous = messageRefs.current.get(messageId);
+      if (previous) observer?.unobserve(previous);
+      messageRefs.current.delete(messageId);
+    }
+  };
+
+  /**
+   * Scrolls to a message and highlights it for a moment. Its row may not be
+   * rendered yet, so we scroll to where it should be and center it exactly
+   * once it renders.
+   */
+  const jumpToMessage = useCallback((messageId) => {
+    const index = indexByIdRef.current.get(messageId);
+    const container = scrollRef.current;
+    if (index === undefined || !container) return;
+
+    const listTop = listRef.current ? listRef.current.offsetTop : 0;
+    const rowTop = offsetsRef.current[index];
+    const rowHeight = offsetsRef.current[index + 1] - rowTop;
+
+    setPinned(false);
+    pendingJumpRef.current = messageId;
+    scrollToPosition(listTop + rowTop - (container.clientHeight - rowHeight) / 2);
+
+    setHighlightedId(messageId);
+    clearTimeout(highlightTimerRef.current);
+    highlightTimerRef.current = setTimeout(() => setHighlightedId(null), HIGHLIGHT_MS);
+  }, [scrollToPosition, setPinned]);
+
+  // Center a jumped-to message as soon as its row is in the DOM
+  useLayoutEffect(() => {
+    const element = messageRefs.current.get(pendingJumpRef.current);
+    if (element) {
+      pendingJumpRef.current = null;
+      element.scrollIntoView({ behavior: 'instant', block: 'center' });
+      syncViewport();
+    }
+  });
+
+  // Jump to a search result once it has rendered
   useEffect(() => {
-    // scrollIntoView is a built-in browser function that scrolls
-    // an element into view. 'smooth' makes it animate nicely.
-    if (chatEndRef.current) {
-      chatEndRef.current.scrollIntoView({ behavior: 'smooth' });
+    if (jumpRequest) {
+      jumpToMessage(jumpRequest.messageId);
     }
-    console.log('Chat updated, scrolling to bottom. Total messages:', messages.length);
-  }, [messages]); // The [messages] means "run this when messages changes"
+  }, [jumpRequest, jumpToMessage]);
 
   /**
    * Handles image load errors by tracking failed URLs
@@ -48,6 +475,266 @@ function ChatDisplay({ messages }) {
     setFailedImages(prev => new Set([...prev, imageUrl]));
   };
 
+  /**
+   * Renders the delivery state under one of our own messages
+   */
+  const renderStatus = (message) => {
+    if (!message.status) return null;
+
+    if (message.status === 'failed') {
+      return (
+        <button
+          className="message-status message-status-failed"
+          onClick={() => onRetryMessage(message.id)}
+        >
+          {STATUS_LABELS.failed}
+        </button>
+      );
+    }
+
+    return (
+      <span className={`message-status message-status-${message.status}`}>
+        {STATUS_LABELS[message.status]}
+      </span>
+    );
+  };
+
+  const startEditing = (message) => {
+    setEditingId(message.id);
+    // Received and loaded text is HTML-escaped; the editor wants it as typed
+    setEditText(unescapeText(message.text));
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditText('');
+  };
+
+  const saveEdit = () => {
+    if (editText.trim() === '') return;
+    onEditMessage(editingId, editText);
+    cancelEditing();
+  };
+
+  /**
+   * Enter saves the edit, Escape cancels it
+   */
+  const handleEditKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      saveEdit();
+    } else if (event.key === 'Escape') {
+      cancelEditing();
+    }
+  };
+
+  const handleDelete = (message) => {
+    if (window.confirm('Delete this message for everyone?')) {
+      onDeleteMessage(message.id);
+    }
+  };
+
+  /**
+   * Renders the reply / edit / delete / pin buttons in a message header
+   */
+  const renderActions = (message) => (
+    <>
+      {onReply && (
+        <button
+          type="button"
+          className="message-action-button"
+          onClick={() => onReply(message)}
+          aria-label={`Reply to ${message.username}`}
+          title="Reply"
+        >
+          ↩ Reply
+        </button>
+      )}
+      {onEditMessage && canEditMessage(message, currentUserId) && (
+        <button
+          type="button"
+          className="message-action-button"
+          onClick={() => startEditing(message)}
+          title="Edit"
+        >
+          ✎ Edit
+        </button>
+      )}
+      {onDeleteMessage && canDeleteMessage(message, currentUserId, isModerator) && (
+        <button
+          type="button"
+          className="message-action-button message-action-delete"
+          onClick={() => handleDelete(message)}
+          title={message.authorId === currentUserId ? 'Delete' : 'Delete (moderator)'}
+        >
+          🗑 Delete
+        </button>
+      )}
+      {onTogglePin && message.status !== 'pending' && message.status !== 'failed' && (
+        <button
+          type="button"
+          className="message-action-button"
+          onClick={() => onTogglePin(message)}
+          title={pinnedMessageIds?.has(message.id) ? 'Unpin' : 'Pin to the room'}
+        >
+          📌 {pinnedMessageIds?.has(message.id) ? 'Unpin' : 'Pin'}
+        </button>
+      )}
+    </>
+  );
+
+  const handlePickReaction = (messageId, emoji) => {
+    setReactionPickerId(null);
+    onReactToMessage(messageId, emoji);
+  };
+
+  /**
+   * Renders the emoji chips under a message, plus the add-reaction picker
+   */
+  const renderReactions = (message) => {
+    if (!onReactToMessage || message.status === 'pending' || message.status === 'failed') {
+      return null;
+    }
+
+    const chips = getReactionChips(message.reactions, currentUserId);
+    const pickerOpen = reactionPickerId === message.id;
+
+    return (
+      <div className="message-reactions">
+        {chips.map(chip => (
+          <button
+            key={chip.emoji}
+            type="button"
+            className={`message-reaction-chip ${chip.reacted ? 'reacted' : ''}`}
+            onClick={() => onReactToMessage(message.id, chip.emoji)}
+            aria-pressed={chip.reacted}
+            aria-label={`${chip.emoji} ${chip.count} — ${chip.reacted ? 'remove your reaction' : 'react'}`}
+          >
+            <span>{chip.emoji}</span>
+            <span className="message-reaction-count">{chip.count}</span>
+          </button>
+        ))}
+        <button
+          type="button"
+          className={`message-reaction-add ${chips.length === 0 ? 'empty' : ''}`}
+          onClick={() => setReactionPickerId(pickerOpen ? null : message.id)}
+          aria-expanded={pickerOpen}
+          aria-label="Add reaction"
+          title="React"
+        >
+          ☺+
+        </button>
+        {pickerOpen && (
+          <div className="message-reaction-picker" role="menu">
+            {MESSAGE_REACTION_EMOJIS.map(emoji => (
+              <button
+                key={emoji}
+                type="button"
+                role="menuitem"
+                onClick={() => handlePickReaction(message.id, emoji)}
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * Renders message text with @mentions highlighted and rich text
+   * (bold, italic, spoilers, emoji, links) in between
+   */
+  const renderText = (message) =>
+    splitMentions(message.text, message.mentions).map((segment, index) => {
+      if (!segment.mention) return <RichText key={index} text={segment.text} />;
+
+      const isSelf = segment.mention.id === currentUserId;
+      return (
+        <span key={index} className={`message-mention ${isSelf ? 'self' : ''}`}>
+          {unescapeText(segment.text)}
+        </span>
+      );
+    });
+
+  /**
+   * Renders the inline editor in place of the message text
+   */
+  const renderEditor = () => (
+    <div className="message-edit">
+      <input
+        type="text"
+        className="message-edit-field"
+        value={editText}
+        onChange={(e) => setEditText(e.target.value)}
+        onKeyDown={handleEditKeyDown}
+        maxLength={500}
+        autoFocus
+      />
+      <button
+        type="button"
+        className="message-edit-save"
+        onClick={saveEdit}
+        disabled={editText.trim() === ''}
+      >
+        Save
+      </button>
+      <button type="button" className="message-edit-cancel" onClick={cancelEditing}>
+        Cancel
+      </button>
+    </div>
+  );
+
+  /**
+   * Renders the quoted message above a reply
+   */
+  const renderReplyQuote = (replyTo) => {
+    const originalLoaded = indexById.has(replyTo.id);
+
+    return (
+      <button
+        type="button"
+        className="message-reply-quote"
+        onClick={() => jumpToMessage(replyTo.id)}
+        disabled={!originalLoaded}
+        title={originalLoaded ? 'Jump to original message' : 'Original message is no longer loaded'}
+      >
+        <span className="message-reply-author">↩ {unescapeText(replyTo.username)}</span>
+        <span className="message-reply-text">{unescapeText(replyTo.text)}</span>
+      </button>
+    );
+  };
+
+  /**
+   * Renders when a message was sent, relative to now
+   */
+  const renderTimestamp = (message) => {
+    if (typeof message.timestamp !== 'number') return null;
+
+    return (
+      <time
+        className="message-timestamp"
+        dateTime={new Date(message.timestamp).toISOString()}
+        title={formatAbsoluteTime(message.timestamp)}
+      >
+        {formatRelativeTime(message.timestamp, now)}
+      </time>
+    );
+  };
+
+  /**
+   * Whether a day separator goes above the message at index — the first
+   * message, and wherever the date changes
+   */
+  const startsNewDay = (index) => {
+    const message = messages[index];
+    if (typeof message.timestamp !== 'number') return false;
+
+    const previous = messages[index - 1];
+    return !previous || typeof previous.timestamp !== 'number'
+      || !isSameDay(previous.timestamp, message.timestamp);
+  };
+
   /**
    * Renders a single message based on its type
    */
@@ -60,7 +747,7 @@ function ChatDisplay({ messages }) {
             <span className="message-username">{message.username}</span>
             <span className="reaction-text"> reacted {message.text}</span>
           </span>
-          <span className="message-timestamp">{message.timestamp}</span>
+          {renderTimestamp(message)}
         </div>
       );
     }
@@ -70,22 +757,62 @@ function ChatDisplay({ messages }) {
       return (
         <div key={message.id} className="message system-message">
           <p className="system-text">{message.text}</p>
-          <span className="message-timestamp">{message.timestamp}</span>
+          {renderTimestamp(message)}
+        </div>
+      );
+    }
+
+    // Deleted messages leave a tombstone so replies and context still make sense
+    if (message.deleted) {
+      return (
+        <div key={message.id} className="message message-deleted">
+          <p className="message-deleted-text">message deleted</p>
+          {renderTimestamp(message)}
         </div>
       );
     }
 
 // Regular chat message
     return (
-      <div key={message.id} className="message">
-        {/* Message header: username and timestamp */}
+      <div
+        key={message.id}
+        className={[
+          'message',
+          message.status === 'failed' ? 'message-failed' : '',
+          message.id === highlightedId ? 'message-highlighted' : '',
+          mentionsUser(message, currentUserId) ? 'message-mentions-me' : '',
+        ].filter(Boolean).join(' ')}
+      >
+        {/* Quoted message (replies only) */}
+        {message.replyTo && renderReplyQuote(message.replyTo)}
+        {/* Message header: username, timestamp and actions */}
         <div className="message-header">
-          <span className="message-username">{message.username}</span>
-          <span className="message-timestamp">{message.timestamp}</span>
+          <span className="message-username">
+            {message.username}
+            {message.smackdown && (
+              <span className="message-smackdown" title={`${SMACKDOWN_THRESHOLD}+ reactions — smackdown!`}> 💥 Smackdown</span>
+            )}
+            {pinnedMessageIds?.has(message.id) && (
+              <span className="message-pinned" title="Pinned"> 📌</span>
+            )}
+          </span>
+          <span className="message-header-right">
+            {renderActions(message)}
+            {renderTimestamp(message)}
+          </span>
         </div>
-        {/* The actual message text (only show if there is text) */}
-        {message.text && (
-          <p className="message-text">{message.text}</p>
+        {/* The actual message text (only show if there is text), or the editor */}
+        {editingId === message.id ? (
+          renderEditor()
+        ) : (
+          message.text && (
+            <p className={`message-text ${message.emote ? 'message-emote' : ''}`}>
+              {/* /me messages read as an action: "Sam is already celebrating" */}
+              {message.emote && <span className="message-emote-name">{message.username} </span>}
+              {renderText(message)}
+              {message.editedAt && <span className="message-edited"> (edited)</span>}
+            </p>
+          )
         )}
         {/* GIF or clip media (only show if message has media attached and hasn't failed) */}
         {message.media && message.media.type === 'gif' && !failedImages.has(message.media.url) && (
@@ -98,14 +825,36 @@ function ChatDisplay({ messages }) {
             />
           </div>
         )}
+        {/* Per-message reaction chips */}
+        {renderReactions(message)}
+        {/* Delivery state (only on our own messages) */}
+        {renderStatus(message)}
       </div>
     );
   };
 
   return (
-    <div className="chat-display">
+    <div className="chat-display" ref={scrollRef} onScroll={handleScroll}>
       {/* Container for all messages */}
       <div className="messages-container">
+        {/* Older history: loading state, a retry, a manual button, or the start of the room */}
+        {loadingOlderMessages ? (
+          <p className="history-status">Loading earlier messages…</p>
+        ) : historyLoadFailed ? (
+          <div className="history-status" role="alert">
+            Couldn't load the chat history.{' '}
+            <button type="button" className="history-load-button" onClick={onRetryHistory}>
+              Try again
+            </button>
+          </div>
+        ) : hasOlderMessages ? (
+          <button type="button" className="history-load-button" onClick={loadOlder}>
+            Load earlier messages
+          </button>
+        ) : messages.length > 0 && (
+          <p className="history-status">You've reached the start of this room</p>
+        )}
+
         {/*
           If there are no messages, show a helpful message.
           Otherwise, map through and display each message.
@@ -113,15 +862,47 @@ function ChatDisplay({ messages }) {
         {messages.length === 0 ? (
           <p className="no-messages">Well are you gonna Smack Talk me, punk?</p>
         ) : (
-          messages.map(renderMessage)
+          // Only the rows near the viewport are rendered; the padding stands
+          // in for the rest so the scrollbar still covers the whole history
+          <div
+            ref={listRef}
+            className="virtual-list"
+            style={{
+              paddingTop: offsets[start],
+              paddingBottom: offsets[messages.length] - offsets[end],
+            }}
+          >
+            {messages.slice(start, end).map((message, i) => (
+              <div
+                key={message.id}
+                ref={element => setMessageRef(message.id, element)}
+                className={`message-row ${start + i === messages.length - 1 ? 'message-row-newest' : ''}`}
+              >
+                {startsNewDay(start + i) && (
+                  <div className="day-separator" role="separator">
+                    <span>{formatDayLabel(message.timestamp, now)}</span>
+                  </div>
+                )}
+                {message.id === unread.dividerId && (
+                  <div className="unread-divider" role="separator">
+                    <span>New messages</span>
+                  </div>
+                )}
+                {renderMessage(message)}
+              </div>
+            ))}
+          </div>
         )}
-
-        {/*
-          This empty div is placed at the end of the messages.
-          We use the ref to scroll to it when new messages arrive.
-        */}
-        <div ref={chatEndRef} />
       </div>
+
+      {/* Jump back to the newest message (only while reading back) */}
+      {unread.count > 0 && (
+        <div className="new-messages-anchor">
+          <button type="button" className="new-messages-pill" onClick={scrollToNewest}>
+            {unread.count} new message{unread.count !== 1 ? 's' : ''} ↓
+          </button>
+        </div>
+      )}
     </div>
   );
 }
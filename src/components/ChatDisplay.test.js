@@ -0,0 +1,51 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import ChatDisplay from './ChatDisplay';
+import { sanitizeText } from '../utils/sanitize';
+
+const makeMessages = (count) => Array.from({ length: count }, (_, i) => ({
+  id: `m${i}`,
+  type: 'message',
+  username: 'fan',
+  text: `message ${i}`,
+  timestamp: Date.UTC(2026, 9, 12, 20, 0, i),
+}));
+
+describe('ChatDisplay', () => {
+  // jsdom doesn't implement scrolling
+  beforeAll(() => {
+    Element.prototype.scrollTo = jest.fn();
+    Element.prototype.scrollIntoView = jest.fn();
+  });
+
+  test('renders only a window of a long history', () => {
+    render(<ChatDisplay messages={makeMessages(2000)} />);
+
+    const rendered = screen.getAllByText(/^message \d+$/);
+    expect(rendered.length).toBeGreaterThan(0);
+    expect(rendered.length).toBeLessThan(50);
+  });
+
+  test('offers a retry instead of the start of the room when history fails to load', () => {
+    const onRetryHistory = jest.fn();
+    render(<ChatDisplay messages={makeMessages(3)} historyLoadFailed onRetryHistory={onRetryHistory} />);
+
+    expect(screen.queryByText(/reached the start/)).toBeNull();
+    screen.getByRole('button', { name: 'Try again' }).click();
+    expect(onRetryHistory).toHaveBeenCalled();
+  });
+
+  test('edits loaded messages as typed, not HTML-escaped', () => {
+    const message = {
+      id: 'm1',
+      type: 'message',
+      username: 'fan',
+      authorId: 'me',
+      text: sanitizeText("it's Q&A time"),
+      timestamp: Date.UTC(2026, 9, 12, 20, 0, 0),
+    };
+    render(<ChatDisplay messages={[message]} currentUserId="me" onEditMessage={jest.fn()} />);
+
+    fireEvent.click(screen.getByTitle('Edit'));
+    expect(screen.getByRole('textbox')).toHaveValue("it's Q&A time");
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * FilterSettings Component
+ *
+ * PURPOSE: Dropdown panel for the room's chat rules, opened from the 🛡️
+ * button in the top bar: the chat filter (see utils/moderation.js) and slow
+ * mode (see utils/rateLimit.js). Everyone sees the room's settings and can
+ * choose to see masked words; moderators and the room's creator can also
+ * change the settings for the whole room.
+ *
+ * PROPS:
+ * - isOpen: Boolean - whether the panel is visible
+ * - onClose: Function to close the panel
+ * - level: The room's filter level ('off', 'mask' or 'block')
+ * - canManage: Whether the user may change the level
+ * - onChangeLevel: Function called with (level) to set the room's level
+ * - showFilteredText: Whether masked words are shown to this user
+ * - onToggleShowFilteredText: Function called with (show) when the user flips it
+ * - slowModeSeconds: Seconds between each person's messages (0 = off)
+ * - onChangeSlowMode: Function called with (seconds) to set the room's slow mode
+ */
+
+import {
+  FILTER_LEVELS,
+  FILTER_LEVEL_LABELS,
+  FILTER_LEVEL_DESCRIPTIONS,
+} from '../utils/moderation';
+import { SLOW_MODE_OPTIONS, formatSlowMode } from '../utils/rateLimit';
+
+function FilterSettings({
+  isOpen,
+  onClose,
+  level,
+  canManage,
+  onChangeLevel,
+  showFilteredText,
+  onToggleShowFilteredText,
+  slowModeSeconds,
+  onChangeSlowMode,
+}) {
+  // Don't render anything if the panel is closed
+  if (!isOpen) {
+    return null;
+  }
+
+  return (
+    <div className="filter-settings" role="dialog" aria-label="Chat rules">
+      <div className="presence-roster-header">
+        <h3>Chat Rules</h3>
+        <button
+          className="modal-close-btn"
+          onClick={onClose}
+          aria-label="Close"
+        >
+          ✕
+        </button>
+      </div>
+
+      <fieldset className="filter-levels" disabled={!canManage}>
+        <legend className="filter-levels-legend">
+          {canManage ? 'Filter' : "Filter (set by the room's moderators)"}
+        </legend>
+        {FILTER_LEVELS.map(option => (
+          <label key={option} className={`filter-level ${option === level ? 'selected' : ''}`}>
+            <input
+              type="radio"
+              name="filter-level"
+              value={option}
+              checked={option === level}
+              onChange={() => onChangeLevel(option)}
+            />
+            <span className="filter-level-label">{FILTER_LEVEL_LABELS[option]}</span>
+            <span className="filter-level-description">{FILTER_LEVEL_DESCRIPTIONS[option]}</span>
+          </label>
+        ))}
+      </fieldset>
+
+      <fieldset className="filter-levels" disabled={!canManage}>
+        <legend className="filter-levels-legend">
+          Slow mode — one message per person every…
+        </legend>
+        <div className="slow-mode-options">
+          {SLOW_MODE_OPTIONS.map(option => (
+            <label
+              key={option}
+              className={`slow-mode-option ${option === slowModeSeconds ? 'selected' : ''}`}
+            >
+              <input
+                type="radio"
+                name="slow-mode"
+                value={option}
+                checked={option === slowModeSeconds}
+                onChange={() => onChangeSlowMode(option)}
+              />
+              {formatSlowMode(option)}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <label className="filter-show-toggle">
+        <input
+          type="checkbox"
+          checked={showFilteredText}
+          onChange={(e) => onToggleShowFilteredText(e.target.checked)}
+        />
+        Show masked words (just for me)
+      </label>
+    </div>
+  );
+}
+
+export default FilterSettings;
@@ -14,6 +14,7 @@
  *
  * PROPS:
  * - isOpen: Boolean to show/hide modal
+ * - initialQuery: Search to run when the modal opens (e.g. from /gif), or ''
  * - onClose: Function to call when modal should close
  * - onSelectContent: Function called when user selects a GIF/clip
  *   Parameters: (url, alt, width, height)
@@ -22,7 +23,7 @@
 import { useState, useEffect, useRef } from 'react';
 import { searchContent, getTrendingContent } from '../services/klipyService';
 
-function KlipyPicker({ isOpen, onClose, onSelectContent }) {
+function KlipyPicker({ isOpen, initialQuery = '', onClose, onSelectContent }) {
   // Search query state
   const [searchQuery, setSearchQuery] = useState('');
 
@@ -37,13 +38,19 @@ function KlipyPicker({ isOpen, onClose, onSelectContent }) {
   const debounceTimerRef = useRef(null);
 
   /**
-   * Load trending content when modal first opens
+   * Load trending content when modal first opens,
+   * or start with the search it was opened with
+   * (a /gif while it's already open searches again)
    */
   useEffect(() => {
-    if (isOpen && contentItems.length === 0) {
+    if (!isOpen) return;
+
+    if (initialQuery) {
+      setSearchQuery(initialQuery);
+    } else if (contentItems.length === 0) {
       loadTrendingContent();
     }
-  }, [isOpen]);
+  }, [isOpen, initialQuery]);
 
   /**
    * Debounced search effect
@@ -9,22 +9,230 @@
  * - currentMessage: The text currently in the input field
  * - onMessageChange: Function to call when user types (updates the text)
  * - onSendMessage: Function to call when user sends the message
+ * - onSlashCommand: Function called with ({ name, args }) instead of sending
+ *   when the message is a slash command (see utils/slashCommands.js). Typing
+ *   "/" offers the commands, the usage of the one being typed shows above
+ *   the input, and a command that doesn't parse shows its error there
+ * - onOpenKlipyPicker: Function to open the GIF picker
+ * - onTypingChange: Function called with (true) when the user starts typing
+ *   (repeated at most every few seconds while they keep typing) and with
+ *   (false) when they go idle, clear the input or send
+ * - replyingTo: The message being replied to, shown above the input (or null)
+ * - onCancelReply: Function to drop the reply (✕ button or Escape)
+ * - attachment: GIF { url, alt } staged to go out with the message — the
+ *   text becomes its caption, and Send works with no text at all (or null)
+ * - onRemoveAttachment: Function to drop the staged GIF (✕ button or Escape)
+ * - mentionCandidates: Recent authors [{ id, username }] offered when typing "@"
+ *   (↑/↓ to choose, Enter or Tab to insert, Escape to dismiss)
+ * - cooldownUntil: When the next message may go out (epoch ms, or null) —
+ *   until then Send counts down and the text stays in the input
+ * - slowModeSeconds: The room's slow mode (0 = off), noted above the input
  */
 
-// No imports needed - this is a simple component with no hooks
+import { useEffect, useRef, useState } from 'react';
+import { TYPING_THROTTLE_MS, TYPING_IDLE_MS } from '../utils/typing';
+import { getActiveMention, filterMentionCandidates, insertMention } from '../utils/mentions';
+import { getCommandSuggestions, getCommandHint, parseSlashCommand } from '../utils/slashCommands';
+import { formatSlowMode } from '../utils/rateLimit';
+import { unescapeText } from '../utils/sanitize';
+
+// How often the cooldown countdown updates
+const COOLDOWN_TICK_MS = 250;
+
+// How many @mention suggestions to show at once
+const MAX_SUGGESTIONS = 5;
+
+function MessageInput({
+  currentMessage,
+  onMessageChange,
+  onSendMessage,
+  onSlashCommand,
+  onOpenKlipyPicker,
+  onTypingChange,
+  replyingTo,
+  onCancelReply,
+  attachment,
+  onRemoveAttachment,
+  mentionCandidates = [],
+  cooldownUntil = null,
+  slowModeSeconds = 0,
+}) {
+  const inputRef = useRef(null);
+
+  // When we last announced typing-start (0 = not typing)
+  const lastTypingSentRef = useRef(0);
+
+  // Timer that sends typing-stop after the user goes idle
+  const idleTimerRef = useRef(null);
+
+  /**
+   * Announces that the user stopped typing (if we said they started)
+   */
+  const stopTyping = () => {
+    clearTimeout(idleTimerRef.current);
+    if (lastTypingSentRef.current !== 0) {
+      lastTypingSentRef.current = 0;
+      onTypingChange?.(false);
+    }
+  };
+
+  /**
+   * Announces typing, throttled so fast typists don't flood the channel
+   */
+  const notifyTyping = () => {
+    const now = Date.now();
+    if (now - lastTypingSentRef.current >= TYPING_THROTTLE_MS) {
+      lastTypingSentRef.current = now;
+      onTypingChange?.(true);
+    }
+
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  // Clear the idle timer if the input goes away mid-typing
+  useEffect(() => {
+    return () => clearTimeout(idleTimerRef.current);
+  }, []);
+
+  // Back to the input once a GIF is picked, ready for its caption
+  useEffect(() => {
+    if (attachment) {
+      inputRef.current?.focus();
+    }
+  }, [attachment]);
+
+  const canSend = currentMessage.trim() !== '' || Boolean(attachment);
+
+  // Ticks only while a cooldown is running
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    if (!cooldownUntil) return undefined;
+
+    setNow(Date.now());
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= cooldownUntil) clearInterval(timer);
+    }, COOLDOWN_TICK_MS);
+    return () => clearInterval(timer);
+  }, [cooldownUntil]);
+
+  const cooldownSeconds = cooldownUntil && cooldownUntil > now
+    ? Math.ceil((cooldownUntil - now) / 1000)
+    : 0;
+
+  // The "@name" being typed at the caret, and the highlighted suggestion
+  const [activeMention, setActiveMention] = useState(null);
+  const [selectedSuggestion, setSelectedSuggestion] = useState(0);
+
+  // Caret position to restore after inserting a mention
+  const pendingCaretRef = useRef(null);
+
+  const suggestions = activeMention
+    ? filterMentionCandidates(mentionCandidates, activeMention.query).slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  // Slash commands: the menu while the name is typed, then its usage hint
+  const [commandMenuDismissed, setCommandMenuDismissed] = useState(false);
+  const [commandError, setCommandError] = useState(null);
+  const commandSuggestions = onSlashCommand && !commandMenuDismissed
+    ? getCommandSuggestions(currentMessage)
+    : [];
+  const commandHint = onSlashCommand ? getCommandHint(currentMessage) : null;
+
+  // One menu at a time: @mentions, else commands
+  const menuItems = suggestions.length > 0 ? suggestions : commandSuggestions;
+
+  useEffect(() => {
+    if (pendingCaretRef.current !== null && inputRef.current) {
+      inputRef.current.setSelectionRange(pendingCaretRef.current, pendingCaretRef.current);
+      pendingCaretRef.current = null;
+    }
+  }, [currentMessage]);
+
+  /**
+   * Replaces the partial "@name" with the chosen suggestion
+   */
+  const chooseSuggestion = (candidate) => {
+    const { text, caret } = insertMention(currentMessage, activeMention, candidate.username);
+    pendingCaretRef.current = caret;
+    setActiveMention(null);
+    onMessageChange(text);
+    inputRef.current?.focus();
+  };
+
+  /**
+   * Completes the command name, ready for its arguments
+   */
+  const chooseCommand = (command) => {
+    const text = `/${command.name} `;
+    pendingCaretRef.current = text.length;
+    onMessageChange(text);
+    inputRef.current?.focus();
+  };
+
+  /**
+   * Picks the highlighted mention or command
+   */
+  const chooseMenuItem = (index) => {
+    const item = menuItems[Math.min(index, menuItems.length - 1)];
+    if (suggestions.length > 0) {
+      chooseSuggestion(item);
+    } else {
+      chooseCommand(item);
+    }
+  };
+
+  /**
+   * Handles typing in the input field
+   */
+  const handleChange = (event) => {
+    const text = event.target.value;
+    onMessageChange(text);
+
+    setActiveMention(getActiveMention(text, event.target.selectionStart ?? text.length));
+    setSelectedSuggestion(0);
+    setCommandMenuDismissed(false);
+    setCommandError(null);
+
+    if (text.trim() === '') {
+      stopTyping();
+    } else {
+      notifyTyping();
+    }
+  };
 
-function MessageInput({ currentMessage, onMessageChange, onSendMessage, onOpenKlipyPicker }) {
   /**
    * Handles the send action
    * This function is called when the user clicks Send or presses Enter
    */
   const handleSend = () => {
-    // Don't send empty messages (trim removes whitespace)
-    if (currentMessage.trim() === '') {
+    // Don't send empty messages (trim removes whitespace) — unless there's a GIF
+    if (!canSend) {
       console.log('Cannot send empty message');
       return;
     }
 
+    // Commands go to the parent's command handler instead of the chat
+    const command = onSlashCommand ? parseSlashCommand(currentMessage) : null;
+    if (command?.error) {
+      setCommandError(command.error);
+      return;
+    }
+
+    // Commands still run (the parent throttles any that send); messages wait
+    if (!command && cooldownSeconds > 0) {
+      console.log(`Cooling down: ${cooldownSeconds}s`);
+      return;
+    }
+
+    stopTyping();
+    if (command) {
+      console.log('Running command:', command.name);
+      onSlashCommand(command);
+      return;
+    }
+
     console.log('Sending message:', currentMessage);
     onSendMessage(); // Call the parent's send function
   };
@@ -41,44 +249,188 @@ function MessageInput({ currentMessage, onMessageChange, onSendMessage, onOpenKl
     }
   };
 
+  /**
+   * Arrow keys, Enter / Tab and Escape drive the @mention or command
+   * suggestions while they're open; otherwise Escape cancels a reply in progress
+   */
+  const handleKeyDown = (event) => {
+    if (menuItems.length > 0) {
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        setSelectedSuggestion(prev => (prev + step + menuItems.length) % menuItems.length);
+        return;
+      }
+      if (event.key === 'Enter' || event.key === 'Tab') {
+        // preventDefault also stops the keypress that would send the message
+        event.preventDefault();
+        chooseMenuItem(selectedSuggestion);
+        return;
+      }
+      if (event.key === 'Escape') {
+        setActiveMention(null);
+        setCommandMenuDismissed(true);
+        return;
+      }
+    }
+
+    if (event.key === 'Escape' && replyingTo) {
+      onCancelReply();
+    } else if (event.key === 'Escape' && attachment) {
+      onRemoveAttachment();
+    }
+  };
+
   return (
-    <div className="message-input">
-      {/*
-        Text input field
-        - value: controlled by currentMessage prop (from parent)
-        - onChange: calls onMessageChange when user types
-        - onKeyPress: checks for Enter key to send
-        - placeholder: gray text shown when input is empty
-      */}
-      <input
-        type="text"
-        className="message-input-field"
-        value={currentMessage}
-        onChange={(event) => onMessageChange(event.target.value)}
-        onKeyPress={handleKeyPress}
-        placeholder="Type your message..."
-      />
-
-      {/* GIF Button */}
-      <button
-        className="gif-button"
-        onClick={onOpenKlipyPicker}
-        aria-label="Send GIF or Clip"
-        title="Send a sports GIF or clip"
-        type="button"
-      >
-        GIF
-      </button>
-
-      {/* Send button */}
-      <button
-        className="send-button"
-        onClick={handleSend}
-        disabled={currentMessage.trim() === ''} // Disable if no text
-      >
-        Send
-      </button>
-    </div>
+    <>
+      {/* Reply preview (only while replying) */}
+      {replyingTo && (
+        <div className="reply-preview">
+          <span className="reply-preview-label">
+            Replying to <strong>{unescapeText(replyingTo.username)}</strong>
+          </span>
+          <span className="reply-preview-text">
+            {unescapeText(replyingTo.text) || (replyingTo.media ? '[GIF]' : '')}
+          </span>
+          <button
+            type="button"
+            className="reply-preview-cancel"
+            onClick={onCancelReply}
+            aria-label="Cancel reply"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+      {/* Staged GIF (only once one is picked) */}
+      {attachment && (
+        <div className="attachment-preview">
+          <img src={attachment.url} alt={attachment.alt} className="attachment-preview-gif" />
+          <span className="attachment-preview-label">
+            Add a caption, or just hit Send
+          </span>
+          <button
+            type="button"
+            className="reply-preview-cancel"
+            onClick={onRemoveAttachment}
+            aria-label="Remove GIF"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+      {/* Slow mode, or the countdown after hitting the rate limit */}
+      {(slowModeSeconds > 0 || cooldownSeconds > 0) && (
+        <div className={`cooldown-notice ${cooldownSeconds > 0 ? 'active' : ''}`} aria-live="polite">
+          {slowModeSeconds > 0 && (
+            <span>🐢 Slow mode: one message every {formatSlowMode(slowModeSeconds)}</span>
+          )}
+          {cooldownSeconds > 0 && (
+            <span className="cooldown-countdown">
+              {slowModeSeconds > 0 ? `Next message in ${cooldownSeconds}s` : `Slow down — you can send again in ${cooldownSeconds}s`}
+            </span>
+          )}
+        </div>
+      )}
+      {/* Usage of the command being typed, or why it can't run */}
+      {(commandError || commandHint) && (
+        <div className={`command-hint ${commandError ? 'error' : ''}`} role={commandError ? 'alert' : undefined}>
+          {commandError || (
+            <>
+              <code className="command-hint-usage">{commandHint.usage}</code>
+              <span className="command-hint-description">{commandHint.description}</span>
+            </>
+          )}
+        </div>
+      )}
+      <div className="message-input">
+        {/* @mention suggestions (only while typing "@name") */}
+        {suggestions.length > 0 && (
+          <ul className="mention-suggestions" role="listbox" aria-label="Mention someone">
+            {suggestions.map((candidate, index) => (
+              <li
+                key={candidate.id}
+                role="option"
+                aria-selected={index === selectedSuggestion}
+                className={`mention-suggestion ${index === selectedSuggestion ? 'selected' : ''}`}
+                // mousedown, not click, so the input keeps focus
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  chooseSuggestion(candidate);
+                }}
+              >
+                @{candidate.username}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* Slash command suggestions (only while typing "/name") */}
+        {suggestions.length === 0 && commandSuggestions.length > 0 && (
+          <ul className="mention-suggestions command-suggestions" role="listbox" aria-label="Commands">
+            {commandSuggestions.map((command, index) => (
+              <li
+                key={command.name}
+                role="option"
+                aria-selected={index === selectedSuggestion}
+                className={`mention-suggestion ${index === selectedSuggestion ? 'selected' : ''}`}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  chooseCommand(command);
+                }}
+              >
+                <span className="command-suggestion-name">/{command.name}</span>
+                <span className="command-suggestion-description">{command.description}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/*
+          Text input field
+          - value: controlled by currentMessage prop (from parent)
+          - onChange: calls onMessageChange when user types (and signals typing)
+          - onKeyPress: checks for Enter key to send
+          - placeholder: gray text shown when input is empty
+        */}
+        <input
+          ref={inputRef}
+          type="text"
+          className="message-input-field"
+          value={currentMessage}
+          onChange={handleChange}
+          onKeyPress={handleKeyPress}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setActiveMention(null)}
+          placeholder={
+            attachment ? 'Add a caption...'
+              : replyingTo ? `Reply to ${unescapeText(replyingTo.username)}...`
+                : 'Type your message, or / for commands...'
+          }
+        />
+
+        {/* GIF Button */}
+        <button
+          className="gif-button"
+          onClick={onOpenKlipyPicker}
+          aria-label="Send GIF or Clip"
+          title="Send a sports GIF or clip"
+          type="button"
+        >
+          GIF
+        </button>
+
+        {/* Send button */}
+        <button
+          className="send-button"
+          onClick={handleSend}
+          disabled={!canSend || cooldownSeconds > 0} // Disable if no text and no GIF, or cooling down
+          aria-label={cooldownSeconds > 0 ? `Send available in ${cooldownSeconds} seconds` : undefined}
+        >
+          {cooldownSeconds > 0 ? `${cooldownSeconds}s` : 'Send'}
+        </button>
+      </div>
+    </>
   );
 }
 
@@ -0,0 +1,43 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import MessageInput from './MessageInput';
+
+const gif = { type: 'gif', url: 'https://media.giphy.com/media/abc/giphy.gif', alt: 'Touchdown' };
+
+const renderInput = (props) => render(
+  <MessageInput
+    currentMessage=""
+    onMessageChange={jest.fn()}
+    onSendMessage={jest.fn()}
+    onSlashCommand={jest.fn()}
+    onOpenKlipyPicker={jest.fn()}
+    onRemoveAttachment={jest.fn()}
+    {...props}
+  />
+);
+
+describe('MessageInput', () => {
+  test('sends a staged GIF without a caption', () => {
+    const onSendMessage = jest.fn();
+    renderInput({ attachment: gif, onSendMessage });
+
+    expect(screen.getByAltText('Touchdown')).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('Add a caption...')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+    expect(onSendMessage).toHaveBeenCalled();
+  });
+
+  test('drops the staged GIF with its ✕ or Escape', () => {
+    const onRemoveAttachment = jest.fn();
+    renderInput({ attachment: gif, onRemoveAttachment });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove GIF' }));
+    fireEvent.keyDown(screen.getByPlaceholderText('Add a caption...'), { key: 'Escape' });
+    expect(onRemoveAttachment).toHaveBeenCalledTimes(2);
+  });
+
+  test("can't send an empty message without a GIF", () => {
+    renderInput();
+    expect(screen.getByRole('button', { name: 'Send' })).toBeDisabled();
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * PinnedBar Component
+ *
+ * PURPOSE: Sits above the chat and shows the room's one-line announcement
+ * banner and its pinned messages. Collapsed, the bar shows the newest pin
+ * and how many there are; expanded, it lists them all. Clicking a pin
+ * jumps to the message in the chat.
+ *
+ * Moderators and the room's creator can unpin messages and set, edit or
+ * clear the announcement from here (pinning happens on the message itself).
+ *
+ * PROPS:
+ * - announcement: The announcement pin, or null
+ * - messagePins: Pinned messages, newest first
+ * - canManage: Whether the user may unpin and change the announcement
+ * - onOpenPin: Function called with (pin) when a pinned message is clicked
+ * - onUnpin: Function called with (pinId) to unpin a message or clear the announcement
+ * - onSetAnnouncement: Function called with (text) to set the announcement
+ */
+
+import { useState } from 'react';
+import { MAX_ANNOUNCEMENT_LENGTH } from '../utils/pins';
+import RichText from './RichText';
+
+function PinnedBar({
+  announcement,
+  messagePins,
+  canManage,
+  onOpenPin,
+  onUnpin,
+  onSetAnnouncement,
+}) {
+  const [expanded, setExpanded] = useState(false);
+
+  // Inline announcement editor (null when closed)
+  const [announcementDraft, setAnnouncementDraft] = useState(null);
+
+  const startEditingAnnouncement = () => {
+    setAnnouncementDraft(announcement ? announcement.text : '');
+  };
+
+  const saveAnnouncement = () => {
+    const text = announcementDraft.trim();
+    if (text) {
+      onSetAnnouncement(text);
+    }
+    setAnnouncementDraft(null);
+  };
+
+  /**
+   * Enter saves the announcement, Escape cancels
+   */
+  const handleAnnouncementKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      saveAnnouncement();
+    } else if (event.key === 'Escape') {
+      setAnnouncementDraft(null);
+    }
+  };
+
+  if (!announcement && messagePins.length === 0 && !canManage) return null;
+
+  const renderAnnouncement = () => {
+    if (announcementDraft !== null) {
+      return (
+        <div className="room-announcement editing">
+          <span className="room-announcement-icon" aria-hidden="true">📣</span>
+          <input
+            type="text"
+            className="room-announcement-input"
+            value={announcementDraft}
+            onChange={(e) => setAnnouncementDraft(e.target.value)}
+            onKeyDown={handleAnnouncementKeyDown}
+            onBlur={() => setAnnouncementDraft(null)}
+            maxLength={MAX_ANNOUNCEMENT_LENGTH}
+            placeholder="One-line announcement (Enter to post, Esc to cancel)"
+            aria-label="Room announcement"
+            autoFocus
+          />
+        </div>
+      );
+    }
+
+    if (!announcement) {
+      return canManage && (
+        <button type="button" className="pinned-bar-add" onClick={startEditingAnnouncement}>
+          📣 Add an announcement
+        </button>
+      );
+    }
+
+    return (
+      <div className="room-announcement" role="status">
+        <span className="room-announcement-icon" aria-hidden="true">📣</span>
+        <span className="room-announcement-text">
+          <RichText text={announcement.text} />
+        </span>
+        {canManage && (
+          <>
+            <button
+              type="button"
+              className="pinned-bar-action"
+              onClick={startEditingAnnouncement}
+              title="Edit announcement"
+            >
+              ✎
+            </button>
+            <button
+              type="button"
+              className="pinned-bar-action"
+              onClick={() => onUnpin(announcement.id)}
+              aria-label="Clear announcement"
+              title="Clear announcement"
+            >
+              ✕
+            </button>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderPin = (pin) => (
+    <li key={pin.id} className="pinned-item">
+      <button type="button" className="pinned-item-open" onClick={() => onOpenPin(pin)}>
+        <span className="pinned-item-author">{pin.username}</span>
+        <span className="pinned-item-text"><RichText text={pin.text} /></span>
+      </button>
+      {canManage && (
+        <button
+          type="button"
+          className="pinned-bar-action"
+          onClick={() => onUnpin(pin.id)}
+          aria-label={`Unpin message from ${pin.username}`}
+          title="Unpin"
+        >
+          ✕
+        </button>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="pinned-bar">
+      {renderAnnouncement()}
+
+      {messagePins.length > 0 && (
+        <div className="pinned-messages">
+          <div className="pinned-messages-header">
+            <span className="pinned-messages-icon" aria-hidden="true">📌</span>
+            {expanded ? (
+              <span className="pinned-messages-title">Pinned messages</span>
+            ) : (
+              <ul className="pinned-list collapsed">{renderPin(messagePins[0])}</ul>
+            )}
+            <button
+              type="button"
+              className="pinned-messages-toggle"
+              onClick={() => setExpanded(prev => !prev)}
+              aria-expanded={expanded}
+            >
+              {expanded ? 'Hide ▴' : `${messagePins.length} pinned ▾`}
+            </button>
+          </div>
+
+          {expanded && (
+            <ul className="pinned-list">{messagePins.map(renderPin)}</ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PinnedBar;
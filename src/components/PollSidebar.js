@@ -15,6 +15,7 @@
  */
 
 import { useState } from 'react';
+import { toEpochMs, formatClockTime, formatAbsoluteTime } from '../utils/time';
 
 function PollSidebar({ polls, userVotes, currentUser, onCreatePoll, onVote, onClosePoll }) {
   // Track which past polls are expanded (to show details)
@@ -82,6 +83,9 @@ function PollSidebar({ polls, userVotes, currentUser, onCreatePoll, onVote, onCl
     const winningOptionId = isPast ? getWinningOptionId(poll) : null;
     const isCreator = poll.createdBy === currentUser;
 
+    // Polls saved before epoch times kept a preformatted "08:41 PM"
+    const createdAt = toEpochMs(poll.createdAt);
+
     return (
       <div
         key={poll.id}
@@ -92,7 +96,12 @@ function PollSidebar({ polls, userVotes, currentUser, onCreatePoll, onVote, onCl
 
         {/* Poll Creator and Time */}
         <p className="poll-meta">
-          by {poll.createdBy} at {poll.createdAt}
+          by {poll.createdBy} at{' '}
+          {createdAt === null ? poll.createdAt : (
+            <time dateTime={new Date(createdAt).toISOString()} title={formatAbsoluteTime(createdAt)}>
+              {formatClockTime(createdAt)}
+            </time>
+          )}
         </p>
 
         {/* Poll Options */}
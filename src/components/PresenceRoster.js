@@ -0,0 +1,57 @@
+/**
+ * PresenceRoster Component
+ *
+ * PURPOSE: Dropdown panel listing everyone currently in the room,
+ * with each member's level name. Opened from the online count in the top bar.
+ *
+ * PROPS:
+ * - members: Array of roster members { memberId, username, xp }
+ * - currentMemberId: The current user's member ID (marked as "you")
+ * - isOpen: Boolean - whether the panel is visible
+ * - onClose: Function to close the panel
+ */
+
+import { calculateLevel } from '../services/userStatsService';
+
+function PresenceRoster({ members, currentMemberId, isOpen, onClose }) {
+  // Don't render anything if the panel is closed
+  if (!isOpen) {
+    return null;
+  }
+
+  return (
+    <div className="presence-roster" role="dialog" aria-label="Who's in the room">
+      <div className="presence-roster-header">
+        <h3>In the Room ({members.length})</h3>
+        <button
+          className="modal-close-btn"
+          onClick={onClose}
+          aria-label="Close"
+        >
+          ✕
+        </button>
+      </div>
+
+      {members.length === 0 ? (
+        <p className="presence-empty">Nobody here yet.</p>
+      ) : (
+        <ul className="presence-list">
+          {members.map(member => (
+            <li key={member.memberId} className="presence-member">
+              <span className="presence-dot" />
+              <span className="presence-username">
+                {member.username}
+                {member.memberId === currentMemberId && (
+                  <span className="presence-you"> (you)</span>
+                )}
+              </span>
+              <span className="presence-level">{calculateLevel(member.xp).name}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PresenceRoster;
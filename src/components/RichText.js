@@ -0,0 +1,85 @@
+/**
+ * RichText Component
+ *
+ * PURPOSE: Renders message text with the chat's small markup dialect —
+ * *bold*, _italic_, ||spoiler||, :shortcode: emoji and allowlisted links.
+ * Parsing lives in utils/richText.js; this only maps nodes to elements,
+ * so every piece of text is a React text node (no dangerouslySetInnerHTML).
+ *
+ * PROPS:
+ * - text: Message text (HTML-escaped or plain)
+ */
+
+import { useState } from 'react';
+import { parseRichText } from '../utils/richText';
+
+/**
+ * A spoiler stays blurred until clicked (or activated from the keyboard)
+ */
+function Spoiler({ children }) {
+  const [revealed, setRevealed] = useState(false);
+
+  if (revealed) {
+    return <span className="rich-spoiler revealed">{children}</span>;
+  }
+
+  return (
+    <span
+      className="rich-spoiler"
+      role="button"
+      tabIndex={0}
+      aria-label="Spoiler — click to reveal"
+      onClick={() => setRevealed(true)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          setRevealed(true);
+        }
+      }}
+    >
+      {children}
+    </span>
+  );
+}
+
+/**
+ * Renders a list of parsed nodes
+ */
+function renderNodes(nodes) {
+  return nodes.map((node, index) => {
+    switch (node.type) {
+      case 'bold':
+        return <strong key={index}>{renderNodes(node.children)}</strong>;
+      case 'italic':
+        return <em key={index}>{renderNodes(node.children)}</em>;
+      case 'spoiler':
+        return <Spoiler key={index}>{renderNodes(node.children)}</Spoiler>;
+      case 'emoji':
+        return (
+          <span key={index} className="rich-emoji" title={`:${node.code}:`}>
+            {node.emoji}
+          </span>
+        );
+      case 'link':
+        return (
+          <a
+            key={index}
+            className="rich-link"
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer nofollow"
+          >
+            {node.text}
+          </a>
+        );
+      default:
+        return node.text;
+    }
+  });
+}
+
+function RichText({ text }) {
+  return <>{renderNodes(parseRichText(text))}</>;
+}
+
+export default RichText;
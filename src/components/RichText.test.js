@@ -0,0 +1,23 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import RichText from './RichText';
+import { sanitizeText } from '../utils/sanitize';
+
+describe('RichText', () => {
+  test('renders markup as elements and HTML as inert text', () => {
+    render(<RichText text={sanitizeText('*bold* <img src=x onerror=alert(1)>')} />);
+
+    expect(screen.getByText('bold').tagName).toBe('STRONG');
+    expect(screen.queryByRole('img')).toBeNull();
+    expect(screen.getByText(/<img src=x onerror=alert\(1\)>/)).toBeInTheDocument();
+  });
+
+  test('reveals a spoiler on click', () => {
+    render(<RichText text="||they lose||" />);
+
+    const spoiler = screen.getByRole('button', { name: /spoiler/i });
+    fireEvent.click(spoiler);
+
+    expect(screen.queryByRole('button', { name: /spoiler/i })).toBeNull();
+    expect(screen.getByText('they lose')).toHaveClass('revealed');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * RoomSelector Component
+ *
+ * PURPOSE: The room lobby shown in the left sidebar. Lists every game room,
+ * highlights the one you're in, and lets signed-in users start a new room
+ * for a game.
+ *
+ * PROPS:
+ * - rooms: Array of room objects { id, name, createdBy }
+ * - currentRoomId: ID of the room being viewed
+ * - onSelectRoom: Function called with (roomId) when a room is clicked
+ * - onCreateRoom: Function called with (name) when a new room is submitted
+ * - canCreateRoom: Boolean - whether the create form should be shown
+ */
+
+import { useState } from 'react';
+
+function RoomSelector({ rooms, currentRoomId, onSelectRoom, onCreateRoom, canCreateRoom }) {
+  // Name typed into the "new room" field
+  const [newRoomName, setNewRoomName] = useState('');
+
+  /**
+   * Submits the new room form
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const name = newRoomName.trim();
+    if (name === '') return;
+
+    console.log('Creating room:', name);
+    onCreateRoom(name);
+    setNewRoomName('');
+  };
+
+  return (
+    <div className="game-selector">
+      <h3 className="game-selector-title">Game Rooms</h3>
+
+      {/* Room list */}
+      <ul className="game-list">
+        {rooms.map(room => (
+          <li key={room.id}>
+            <button
+              className={`game-button ${room.id === currentRoomId ? 'selected' : ''}`}
+              onClick={() => onSelectRoom(room.id)}
+              aria-current={room.id === currentRoomId ? 'true' : undefined}
+            >
+              {room.name}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {/* New room form (signed-in users only) */}
+      {canCreateRoom && (
+        <form className="create-room-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            className="create-room-input"
+            value={newRoomName}
+            onChange={(event) => setNewRoomName(event.target.value)}
+            placeholder="New room, e.g. Chiefs vs Bills"
+            maxLength={60}
+          />
+          <button
+            type="submit"
+            className="create-room-button"
+            disabled={newRoomName.trim() === ''}
+          >
+            + Room
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default RoomSelector;
@@ -0,0 +1,266 @@
+/**
+ * SearchPanel Component
+ *
+ * PURPOSE: Modal for searching the current room's persisted chat history
+ * by text, author and time range — "find the message where someone called
+ * the upset in the first quarter". Results come from the Lambda, newest
+ * first; picking one jumps to it in the chat.
+ *
+ * FEATURES:
+ * - Text, author and from / to (local date and time) filters, all optional
+ * - Searches on submit (Enter or the Search button)
+ * - Loading, error and empty states
+ * - Escape or clicking the overlay closes it
+ *
+ * PROPS:
+ * - isOpen: Boolean to show/hide modal
+ * - roomId: Room whose history is searched
+ * - onClose: Function to call when modal should close
+ * - onOpenResult: Function called with (result) when a result is clicked —
+ *   result is { id, username, text, timestamp } with text a sanitized snippet
+ * - formatText: Optional function applied to result text before it's shown
+ *   (the chat filter's masking)
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { searchMessages } from '../services/dynamodbService';
+import { sanitizeText } from '../utils/sanitize';
+import { getReplySnippet } from '../utils/replies';
+import RichText from './RichText';
+
+/**
+ * Turns a datetime-local input value into epoch ms (null when empty)
+ */
+const toEpoch = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Formats a stored timestamp as e.g. "Oct 12, 08:41 PM"
+ */
+const formatResultTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+function SearchPanel({ isOpen, roomId, onClose, onOpenResult, formatText = (value) => value }) {
+  const [text, setText] = useState('');
+  const [author, setAuthor] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  // null until the first search, then an array of results
+  const [results, setResults] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Only the latest search may update the results
+  const searchIdRef = useRef(0);
+
+  /**
+   * Reset everything when the modal closes or the room changes
+   */
+  useEffect(() => {
+    searchIdRef.current += 1;
+    setText('');
+    setAuthor('');
+    setFrom('');
+    setTo('');
+    setResults(null);
+    setIsLoading(false);
+    setError(null);
+  }, [isOpen, roomId]);
+
+  const hasFilters = Boolean(text.trim() || author.trim() || from || to);
+
+  /**
+   * Runs the search with the current filters
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!hasFilters) return;
+
+    const fromTime = toEpoch(from);
+    const toTime = toEpoch(to);
+    if (fromTime !== null && toTime !== null && fromTime > toTime) {
+      setError('"From" must be before "To".');
+      return;
+    }
+
+    const searchId = ++searchIdRef.current;
+    setIsLoading(true);
+    setError(null);
+
+    const rows = await searchMessages(roomId, {
+      text: text.trim(),
+      author: author.trim(),
+      from: fromTime,
+      to: toTime,
+    });
+    if (searchId !== searchIdRef.current) return;
+
+    if (rows === null) {
+      setError('Search failed. Please try again.');
+      setResults(null);
+    } else {
+      setResults(rows.filter(row => row.id && !row.deleted).map(row => ({
+        id: row.id,
+        username: sanitizeText(row.username || ''),
+        // Cut before escaping so the snippet never splits an entity
+        text: sanitizeText(getReplySnippet(row.text || '')),
+        timestamp: row.timestamp,
+        hasMedia: Boolean(row.media),
+      })));
+    }
+    setIsLoading(false);
+  };
+
+  /**
+   * Handle Escape key to close modal
+   */
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  /**
+   * Handle overlay click (close modal)
+   */
+  const handleOverlayClick = (event) => {
+    if (event.target === event.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="modal-overlay"
+      onClick={handleOverlayClick}
+      onKeyDown={handleKeyDown}
+    >
+      <div className="search-panel-modal" role="dialog" aria-label="Search chat history">
+        {/* HEADER */}
+        <div className="gif-picker-header">
+          <h2 className="modal-title">Search Chat History</h2>
+          <button
+            className="modal-close-btn"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* FILTERS */}
+        <form className="search-form" onSubmit={handleSubmit}>
+          <input
+            type="search"
+            className="gif-search-input"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Search messages"
+            aria-label="Message text"
+            autoFocus
+          />
+          <div className="search-filters">
+            <input
+              type="text"
+              className="search-filter-input"
+              value={author}
+              onChange={(e) => setAuthor(e.target.value)}
+              placeholder="Author"
+              aria-label="Author"
+            />
+            <label className="search-filter-label">
+              From
+              <input
+                type="datetime-local"
+                className="search-filter-input"
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+              />
+            </label>
+            <label className="search-filter-label">
+              To
+              <input
+                type="datetime-local"
+                className="search-filter-input"
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+              />
+            </label>
+            <button
+              type="submit"
+              className="search-submit-button"
+              disabled={!hasFilters || isLoading}
+            >
+              Search
+            </button>
+          </div>
+        </form>
+
+        {/* RESULTS */}
+        <div className="search-results-container">
+          {isLoading && (
+            <div className="gif-loading">
+              <div className="spinner"></div>
+              <p>Searching...</p>
+            </div>
+          )}
+
+          {error && !isLoading && (
+            <div className="gif-error">
+              <p>{error}</p>
+            </div>
+          )}
+
+          {!isLoading && !error && results === null && (
+            <div className="gif-empty">
+              <p>Search this room's history</p>
+              <p className="gif-empty-hint">Filter by text, author, time range — or any mix</p>
+            </div>
+          )}
+
+          {!isLoading && !error && results?.length === 0 && (
+            <div className="gif-empty">
+              <p>No messages found</p>
+              <p className="gif-empty-hint">Try fewer words or a wider time range</p>
+            </div>
+          )}
+
+          {!isLoading && !error && results?.length > 0 && (
+            <ul className="search-results">
+              {results.map(result => (
+                <li key={result.id}>
+                  <button
+                    className="search-result"
+                    onClick={() => onOpenResult(result)}
+                  >
+                    <span className="search-result-meta">
+                      <span className="search-result-author">{result.username}</span>
+                      <span className="search-result-time">{formatResultTime(result.timestamp)}</span>
+                    </span>
+                    <span className="search-result-text">
+                      {result.text
+                        ? <RichText text={formatText(result.text)} />
+                        : result.hasMedia && '[GIF]'}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SearchPanel;
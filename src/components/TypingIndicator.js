@@ -0,0 +1,33 @@
+/**
+ * TypingIndicator Component
+ *
+ * PURPOSE: Shows a "Mike and 3 others are typing…" line above the
+ * message input. Renders an empty placeholder of the same height when
+ * nobody is typing so the input doesn't jump around.
+ *
+ * PROPS:
+ * - usernames: Array of names of people currently typing
+ */
+
+import { formatTypingText } from '../utils/typing';
+
+function TypingIndicator({ usernames }) {
+  const text = formatTypingText(usernames);
+
+  return (
+    <div className="typing-indicator" aria-live="polite">
+      {text && (
+        <>
+          <span className="typing-dots">
+            <span></span>
+            <span></span>
+            <span></span>
+          </span>
+          <span className="typing-text">{text}</span>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TypingIndicator;
@@ -0,0 +1,44 @@
+/**
+ * AppSync Events Transport
+ *
+ * PURPOSE: The production realtime transport. Wraps the aws-amplify
+ * `events` API behind the transport interface described in
+ * realtimeTransport.js.
+ */
+
+import { Amplify } from 'aws-amplify';
+import { events } from 'aws-amplify/data';
+import awsConfig from '../aws-config';
+
+/**
+ * Creates the AppSync Events transport (configures Amplify on first use)
+ * @returns {object} Transport { name, connect, publish }
+ */
+export function createAppSyncTransport() {
+  Amplify.configure(awsConfig);
+
+  return {
+    name: 'appsync',
+
+    async connect(channelName) {
+      const channel = await events.connect(channelName);
+
+      return {
+        subscribe({ next, error }) {
+          // AppSync wraps each payload as { event: <payload> }
+          return channel.subscribe({
+            next: (message) => next(message.event),
+            error,
+          });
+        },
+        close() {
+          channel.close();
+        },
+      };
+    },
+
+    async publish(channelName, event) {
+      await events.post(channelName, event);
+    },
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * Connection Manager
+ *
+ * PURPOSE: Keeps a room's realtime channel connected. If connecting
+ * fails or the subscription errors, it retries with exponential backoff
+ * plus jitter, and reports its status so the header can show it.
+ *
+ * STATUSES:
+ * - 'connecting': First connection attempt
+ * - 'reconnecting': Connection lost (or never made) — waiting to retry
+ * - 'live': Subscribed and publishing normally
+ *
+ * OUTBOX: Messages, reactions and GIFs published while we're not live are
+ * queued in order and flushed once the channel is back. Ephemeral events
+ * (presence, typing) are not queued — they'd be stale by then.
+ *
+ * The channel itself is reached through a transport (AppSync in production,
+ * an in-process bus for development and tests) — see realtimeTransport.js.
+ */
+
+import { getRealtimeTransport } from './realtimeTransport';
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+/**
+ * Calculates how long to wait before a reconnect attempt
+ * Exponential backoff with jitter: half the capped delay, plus up to another half at random,
+ * so a room full of clients doesn't reconnect in lockstep after an outage.
+ * @param {number} attempt - Reconnect attempt number (1 = first retry)
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt) {
+  const capped = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1));
+  return Math.round(capped / 2 + Math.random() * (capped / 2));
+}
+
+/**
+ * Creates a connection manager for one channel
+ * @param {string} channelName - Channel to connect to
+ * @param {object} options
+ * @param {Function} options.onEvent - Called with each received event payload
+ * @param {Function} options.onStatusChange - Called with the new status string
+ * @param {Function} options.onOutboxChange - Called with the number of queued events
+ * @param {object} options.transport - Transport to use (defaults to the app-wide one)
+ * @returns {object} { start, stop, publish }
+ */
+export function createConnectionManager(channelName, {
+  onEvent,
+  onStatusChange,
+  onOutboxChange,
+  transport = getRealtimeTransport(),
+}) {
+  let channel = null;
+  let subscription = null;
+  let status = null;
+  let attempt = 0;
+  let retryTimer = null;
+  let stopped = false;
+  let flushing = false;
+
+  // Queued events in send order: { event, resolve, reject }
+  const outbox = [];
+
+  const setStatus = (nextStatus) => {
+    if (status === nextStatus) return;
+    status = nextStatus;
+    onStatusChange?.(nextStatus);
+  };
+
+  const notifyOutbox = () => {
+    onOutboxChange?.(outbox.length);
+  };
+
+  const teardown = () => {
+    if (subscription) {
+      subscription.unsubscribe();
+      subscription = null;
+    }
+    if (channel) {
+      channel.close();
+      channel = null;
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (stopped || retryTimer) return;
+
+    teardown();
+    attempt += 1;
+    setStatus('reconnecting');
+
+    const delay = getBackoffDelay(attempt);
+    console.log(`Reconnecting to ${channelName} in ${delay}ms (attempt ${attempt})`);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, delay);
+  };
+
+  const flushOutbox = async () => {
+    if (flushing) return;
+    flushing = true;
+
+    while (outbox.length > 0 && status === 'live' && !stopped) {
+      const item = outbox[0];
+      try {
+        await transport.publish(channelName, item.event);
+        outbox.shift();
+        notifyOutbox();
+        item.resolve();
+      } catch (error) {
+        console.error('Failed to flush outbox, will retry after reconnect:', error);
+        scheduleReconnect();
+        break;
+      }
+    }
+
+    flushing = false;
+  };
+
+  const connect = async () => {
+    if (stopped) return;
+    setStatus(attempt === 0 ? 'connecting' : 'reconnecting');
+
+    try {
+      console.log(`Connecting to ${transport.name} channel:`, channelName);
+      const connectedChannel = await transport.connect(channelName);
+      if (stopped) {
+        connectedChannel.close();
+        return;
+      }
+
+      channel = connectedChannel;
+      subscription = channel.subscribe({
+        next: (payload) => {
+          if (!stopped) onEvent(payload);
+        },
+        error: (err) => {
+          console.error('Subscription error:', err);
+          scheduleReconnect();
+        },
+      });
+
+      attempt = 0;
+      setStatus('live');
+      console.log('Successfully connected to channel');
+      flushOutbox();
+    } catch (error) {
+      console.error('Failed to connect to channel:', error);
+      scheduleReconnect();
+    }
+  };
+
+  // Retry straight away when the browser comes back online
+  const handleOnline = () => {
+    if (status === 'live' || stopped) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    connect();
+  };
+
+  const enqueue = (event) => new Promise((resolve, reject) => {
+    outbox.push({ event, resolve, reject });
+    notifyOutbox();
+    if (status === 'live') flushOutbox();
+  });
+
+  return {
+    /**
+     * Opens the connection (retrying until stop() is called)
+     */
+    start() {
+      window.addEventListener('online', handleOnline);
+      connect();
+    },
+
+    /**
+     * Closes the connection and drops anything still in the outbox
+     */
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      window.removeEventListener('online', handleOnline);
+      teardown();
+
+      if (outbox.length > 0) {
+        console.warn(`Dropping ${outbox.length} unsent events for ${channelName}`);
+      }
+      outbox.splice(0).forEach(item => item.reject(new Error('Connection closed')));
+    },
+
+    /**
+     * Publishes an event to the channel
+     * @param {object} event - Event payload
+     * @param {object} options
+     * @param {boolean} options.queue - Queue in the outbox if we can't send now
+     * @returns {Promise} Resolves once delivered (possibly after a reconnect)
+     */
+    publish(event, { queue = false } = {}) {
+      // Queued events wait their turn so the outbox stays in order
+      if (status === 'live' && (!queue || outbox.length === 0)) {
+        return transport.publish(channelName, event).catch(error => {
+          if (!queue) throw error;
+          console.error('Publish failed, queueing for retry:', error);
+          scheduleReconnect();
+          return enqueue(event);
+        });
+      }
+
+      if (!queue) {
+        return Promise.reject(new Error(`Not connected (${status})`));
+      }
+      return enqueue(event);
+    },
+  };
+}
@@ -0,0 +1,108 @@
+import { createConnectionManager, getBackoffDelay } from './connectionManager';
+import { createLocalTransport, resetLocalBus } from './localTransport';
+
+const CHANNEL = '/default/game-chat/test-room';
+
+// Waits for pending publishes on the local bus to be delivered
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Lets pending promise callbacks run (for use with fake timers)
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i++) {
+    await Promise.resolve();
+  }
+};
+
+const createClient = (transport = createLocalTransport()) => {
+  const received = [];
+  const statuses = [];
+  const manager = createConnectionManager(CHANNEL, {
+    transport,
+    onEvent: event => received.push(event),
+    onStatusChange: status => statuses.push(status),
+  });
+  return { manager, received, statuses };
+};
+
+beforeEach(() => {
+  resetLocalBus();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('delivers events between two clients over the local transport', async () => {
+  const alice = createClient();
+  const bob = createClient();
+  alice.manager.start();
+  bob.manager.start();
+  await flush();
+
+  expect(alice.statuses).toEqual(['connecting', 'live']);
+
+  await alice.manager.publish({ id: 'm1', type: 'message', text: 'Go Bills' });
+  await flush();
+
+  expect(bob.received).toEqual([{ id: 'm1', type: 'message', text: 'Go Bills' }]);
+
+  alice.manager.stop();
+  bob.manager.stop();
+});
+
+test('queues events until connected, then flushes them in order', async () => {
+  const alice = createClient();
+  const bob = createClient();
+  bob.manager.start();
+  await flush();
+
+  // Not started yet — queued events wait in the outbox
+  const first = alice.manager.publish({ id: 'a' }, { queue: true });
+  const second = alice.manager.publish({ id: 'b' }, { queue: true });
+  await expect(alice.manager.publish({ id: 'typing' })).rejects.toThrow('Not connected');
+
+  alice.manager.start();
+  await Promise.all([first, second]);
+  await flush();
+
+  expect(bob.received.map(event => event.id)).toEqual(['a', 'b']);
+
+  alice.manager.stop();
+  bob.manager.stop();
+});
+
+test('reconnects with backoff after a failed connect', async () => {
+  jest.useFakeTimers();
+  const transport = createLocalTransport();
+  const connect = transport.connect;
+  transport.connect = jest.fn()
+    .mockRejectedValueOnce(new Error('offline'))
+    .mockImplementation(connect);
+
+  const client = createClient(transport);
+  client.manager.start();
+  await flushPromises();
+
+  expect(client.statuses).toEqual(['connecting', 'reconnecting']);
+
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+
+  expect(transport.connect).toHaveBeenCalledTimes(2);
+  expect(client.statuses).toEqual(['connecting', 'reconnecting', 'live']);
+
+  client.manager.stop();
+  jest.useRealTimers();
+});
+
+test('backoff grows exponentially with jitter and is capped', () => {
+  for (let attempt = 1; attempt <= 10; attempt++) {
+    const capped = Math.min(30000, 1000 * 2 ** (attempt - 1));
+    const delay = getBackoffDelay(attempt);
+    expect(delay).toBeGreaterThanOrEqual(capped / 2);
+    expect(delay).toBeLessThanOrEqual(capped);
+  }
+});
@@ -1,17 +1,26 @@
+import { toEpochMs } from '../utils/time';
+
 const API_URL = 'https://o4trgcru2c.execute-api.us-east-2.amazonaws.com/default/SmackTalkAPI';
 console.log('🔍 API_URL value:', API_URL)
 
 /**
  * Save a chat message via Lambda
+ * The Lambda writes conditionally on message.id, so saving the same
+ * message twice (e.g. a retry after a timeout) stores it only once.
+ * @returns {object|null} The saved item, { rateLimited: true, retryAfterMs }
+ *   if the Lambda turned it away for the rate limit or slow mode, or null if
+ *   the write failed
  */
 export async function saveMessage(gameId, message) {
   try {
     const payload = {
       gameId: gameId,
+      id: message.id,
       text: message.text,
       username: message.username,
       timestamp: message.timestamp,
       type: message.type || 'message',
+      authorId: message.authorId,
     };
 
     // Include media field if present
@@ -19,6 +28,21 @@ export async function saveMessage(gameId, message) {
       payload.media = message.media;
     }
 
+    // Include the quoted message if this is a reply
+    if (message.replyTo) {
+      payload.replyTo = message.replyTo;
+    }
+
+    // Include who was @mentioned
+    if (message.mentions?.length) {
+      payload.mentions = message.mentions;
+    }
+
+    // /me messages render as actions
+    if (message.emote) {
+      payload.emote = true;
+    }
+
     console.log('💾 Saving message to DynamoDB:', payload);
 
     const response = await fetch(API_URL, {
@@ -27,9 +51,20 @@ export async function saveMessage(gameId, message) {
       body: JSON.stringify(payload)
     });
 
+    // The Lambda enforces the rate limit and slow mode too (see utils/rateLimit.js)
+    if (response.status === 429) {
+      const { retryAfterMs } = await response.json().catch(() => ({}));
+      console.warn('⏳ Message refused by the rate limit, retry in', retryAfterMs, 'ms');
+      return { rateLimited: true, retryAfterMs: Math.max(0, Number(retryAfterMs) || 0) };
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
     const data = await response.json();
     console.log('✅ Message saved to DynamoDB:', data);
-    return data.item;
+    return data.item || payload;
   } catch (error) {
     console.error('❌ Error saving message to DynamoDB:', error);
     return null;
@@ -37,16 +72,524 @@ export async function saveMessage(gameId, message) {
 }
 
 /**
- * Load recent messages via Lambda
+ * Load one page of messages via Lambda, newest first
+ * GET ?gameId=xxx&limit=50[&before=cursor]
+ *
+ * Pass the nextCursor from one page as `before` to get the page of older
+ * messages behind it. nextCursor is null once there's nothing older — or
+ * when the page didn't get any older, so scroll-back can't loop.
+ * @param {string} gameId - Room ID
+ * @param {number} limit - Page size
+ * @param {string|number|null} before - Cursor from the previous page (null for the newest page)
+ * @returns {object} { messages, nextCursor, failed } — an empty page with
+ *   the same cursor and failed: true on error
  */
-export async function getMessages(gameId, limit = 50) {
+export async function getMessages(gameId, limit = 50, before = null) {
   try {
-    const response = await fetch(`${API_URL}?gameId=${gameId}`);
+    const params = new URLSearchParams({ gameId, limit: String(limit) });
+    if (before !== null && before !== undefined) {
+      params.set('before', String(before));
+    }
+
+    const response = await fetch(`${API_URL}?${params}`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
     const data = await response.json();
-    console.log(`Loaded ${data.messages?.length || 0} messages`);
-    return data.messages || [];
+    const messages = data.messages || [];
+    console.log(`Loaded ${messages.length} messages${before ? ` before ${before}` : ''}`);
+
+    // Older Lambdas don't send a cursor — a full page means there may be more,
+    // and the oldest timestamp marks where the next page starts. Ones that
+    // ignore `before` send the newest page every time, which isn't older.
+    let nextCursor = data.nextCursor ?? null;
+    if (data.nextCursor === undefined && messages.length >= limit) {
+      const oldest = toEpochMs(messages[messages.length - 1].timestamp);
+      const movedOlder = oldest !== null && (before === null || before === undefined || oldest < toEpochMs(before));
+      nextCursor = movedOlder ? oldest : null;
+    }
+    if (nextCursor !== null && before !== null && String(nextCursor) === String(before)) {
+      nextCursor = null;
+    }
+
+    return { messages, nextCursor, failed: false };
   } catch (error) {
     console.error('Error loading messages:', error);
+    // Keep the cursor so scrolling back up tries the same page again
+    return { messages: [], nextCursor: before, failed: true };
+  }
+}
+
+/**
+ * Load a single stored message via Lambda
+ * GET ?action=getMessage&gameId=xxx&id=yyy
+ * Used to confirm a moderator's delete or a smackdown before applying it.
+ * @returns {object|null} The stored message, or null if missing (or on error)
+ */
+export async function getMessage(gameId, messageId) {
+  try {
+    const params = new URLSearchParams({ action: 'getMessage', gameId, id: String(messageId) });
+    const response = await fetch(`${API_URL}?${params}`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.message || null;
+  } catch (error) {
+    console.error('Error loading message:', error);
+    return null;
+  }
+}
+
+/**
+ * Search a room's persisted messages via Lambda, newest first
+ * GET ?action=searchMessages&gameId=xxx[&q=text][&author=name][&from=ms][&to=ms]&limit=25
+ *
+ * q matches message text case-insensitively; author matches the username
+ * the same way; from / to bound the timestamp (epoch ms, inclusive).
+ * Deleted messages are never returned.
+ * @param {string} gameId - Room ID
+ * @param {object} filters - { text, author, from, to, limit } (all optional)
+ * @returns {Array|null} Matching message rows, or null on error
+ */
+export async function searchMessages(gameId, { text = '', author = '', from = null, to = null, limit = 25 } = {}) {
+  try {
+    const params = new URLSearchParams({ action: 'searchMessages', gameId, limit: String(limit) });
+    if (text) params.set('q', text);
+    if (author) params.set('author', author);
+    if (from !== null) params.set('from', String(from));
+    if (to !== null) params.set('to', String(to));
+
+    const response = await fetch(`${API_URL}?${params}`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const results = data.results || [];
+    console.log(`🔍 Found ${results.length} messages matching search`);
+    return results;
+  } catch (error) {
+    console.error('❌ Error searching messages:', error);
+    return null;
+  }
+}
+
+/**
+ * Edit a message via Lambda (only its author may edit it)
+ * POST (body: { action: 'editMessage', gameId, id, text, editorId })
+ * The stored row keeps its id and timestamp and gains editedAt.
+ * @returns {object|null} The updated item or null on error
+ */
+export async function saveMessageEdit(gameId, messageId, text, editorId) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'editMessage', gameId, id: messageId, text, editorId }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    console.log('✅ Message edit saved:', messageId);
+    return data.item || { id: messageId, text, editedAt: Date.now() };
+  } catch (error) {
+    console.error('❌ Error editing message:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete a message via Lambda (its author or a moderator)
+ * POST (body: { action: 'deleteMessage', gameId, id, deletedById })
+ * The row becomes a tombstone (deleted: true, text and media cleared) so
+ * history still shows "message deleted" in the right place.
+ * @returns {boolean} True if the delete was stored
+ */
+export async function saveMessageDelete(gameId, messageId, deletedById) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'deleteMessage', gameId, id: messageId, deletedById }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    console.log('✅ Message delete saved:', messageId);
+    return true;
+  } catch (error) {
+    console.error('❌ Error deleting message:', error);
+    return false;
+  }
+}
+
+/**
+ * Add or remove a reaction on a message via Lambda
+ * POST (body: { action: 'reactMessage', gameId, id, emoji, reactorId, remove })
+ *
+ * The first time a message crosses the smackdown threshold the Lambda sets
+ * smackdownAwarded on the row (conditional write), adds the smackdown XP to
+ * the author's stats and answers { smackdownAwarded: true } to that caller.
+ * @returns {object|null} { reactions, smackdownAwarded } or null on error
+ */
+export async function saveMessageReaction(gameId, messageId, emoji, reactorId, remove = false) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'reactMessage', gameId, id: messageId, emoji, reactorId, remove }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return {
+      reactions: data.item?.reactions || null,
+      smackdownAwarded: Boolean(data.smackdownAwarded),
+    };
+  } catch (error) {
+    console.error('❌ Error saving message reaction:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a newly created poll via Lambda
+ * POST (body: { action: 'createPoll', gameId, poll })
+ * @returns {object|null} The saved poll, or null if the write failed
+ */
+export async function savePoll(gameId, poll) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'createPoll', gameId, poll }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    console.log('✅ Poll saved to DynamoDB:', data);
+    return data.poll || poll;
+  } catch (error) {
+    console.error('❌ Error saving poll to DynamoDB:', error);
+    return null;
+  }
+}
+
+/**
+ * Record a vote via Lambda
+ * POST (body: { action: 'votePoll', gameId, pollId, optionId, voterId })
+ *
+ * The Lambda enforces one vote per voter with a conditional write and
+ * answers 409 (with the stored poll) when the voter already voted.
+ * @returns {object|null} { accepted, poll } or null on network/server error
+ */
+export async function savePollVote(gameId, pollId, optionId, voterId) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'votePoll', gameId, pollId, optionId, voterId }),
+    });
+
+    if (response.status === 409) {
+      const data = await response.json();
+      console.warn('Vote rejected, already voted on poll:', pollId);
+      return { accepted: false, poll: data.poll || null };
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return { accepted: true, poll: data.poll || null };
+  } catch (error) {
+    console.error('❌ Error saving poll vote:', error);
+    return null;
+  }
+}
+
+/**
+ * Close a poll via Lambda (only the poll's creator may close it)
+ * POST (body: { action: 'closePoll', gameId, pollId, closedById })
+ * @returns {object|null} The stored, closed poll or null on error
+ */
+export async function savePollClose(gameId, pollId, closedById) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'closePoll', gameId, pollId, closedById }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.poll || null;
+  } catch (error) {
+    console.error('❌ Error closing poll:', error);
+    return null;
+  }
+}
+
+/**
+ * Load all polls (active and closed) for a game via Lambda
+ * GET ?action=getPolls&gameId=xxx
+ */
+export async function getPolls(gameId) {
+  try {
+    const response = await fetch(
+      `${API_URL}?action=getPolls&gameId=${encodeURIComponent(gameId)}`
+    );
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    console.log(`Loaded ${data.polls?.length || 0} polls`);
+    return data.polls || [];
+  } catch (error) {
+    console.error('Error loading polls:', error);
     return [];
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Pin a message, or set the room announcement, via Lambda
+ * POST (body: { action: 'pinMessage', gameId, pin })
+ * The Lambda only accepts pins from moderators and the room's creator
+ * (403 otherwise) and keeps one row per pin ID, so re-pinning replaces it.
+ * @returns {boolean} True if the pin was stored
+ */
+export async function savePin(gameId, pin) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'pinMessage', gameId, pin }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    console.log('✅ Pin saved:', pin.id);
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving pin:', error);
+    return false;
+  }
+}
+
+/**
+ * Unpin a message, or clear the room announcement, via Lambda
+ * POST (body: { action: 'unpinMessage', gameId, pinId, unpinnedById })
+ * @returns {boolean} True if the pin was removed
+ */
+export async function saveUnpin(gameId, pinId, unpinnedById) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'unpinMessage', gameId, pinId, unpinnedById }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    console.log('✅ Unpin saved:', pinId);
+    return true;
+  } catch (error) {
+    console.error('❌ Error removing pin:', error);
+    return false;
+  }
+}
+
+/**
+ * Load a room's pins (pinned messages and the announcement) via Lambda
+ * GET ?action=getPins&gameId=xxx
+ * @returns {Array|null} The stored pins, or null on error
+ */
+export async function getPins(gameId) {
+  try {
+    const response = await fetch(
+      `${API_URL}?action=getPins&gameId=${encodeURIComponent(gameId)}`
+    );
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    console.log(`Loaded ${data.pins?.length || 0} pins`);
+    return data.pins || [];
+  } catch (error) {
+    console.error('Error loading pins:', error);
+    return null;
+  }
+}
+
+/**
+ * Set a room's chat filter level via Lambda
+ * POST (body: { action: 'setRoomFilter', gameId, level, setById })
+ * Only moderators and the room's creator may change it (403 otherwise).
+ * @returns {boolean} True if the level was stored
+ */
+export async function saveRoomFilter(gameId, level, setById) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'setRoomFilter', gameId, level, setById }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    console.log('✅ Room filter saved:', level);
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving room filter:', error);
+    return false;
+  }
+}
+
+/**
+ * Load a room's chat filter level via Lambda
+ * GET ?action=getRoomFilter&gameId=xxx
+ * @returns {string|null} The stored level, or null if none is set (or on error)
+ */
+export async function getRoomFilter(gameId) {
+  try {
+    const response = await fetch(
+      `${API_URL}?action=getRoomFilter&gameId=${encodeURIComponent(gameId)}`
+    );
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.level || null;
+  } catch (error) {
+    console.error('Error loading room filter:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a room's slow mode via Lambda (moderators and the room's creator only)
+ * POST (body: { action: 'setSlowMode', gameId, seconds, setById })
+ * @param {number} seconds - Seconds between each person's messages (0 = off)
+ * @returns {boolean} Whether it was saved
+ */
+export async function saveRoomSlowMode(gameId, seconds, setById) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'setSlowMode', gameId, seconds, setById }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    console.log('✅ Slow mode saved:', seconds);
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving slow mode:', error);
+    return false;
+  }
+}
+
+/**
+ * Load a room's slow mode via Lambda
+ * GET ?action=getSlowMode&gameId=xxx
+ * @returns {number|null} Seconds (0 = off), or null on error
+ */
+export async function getRoomSlowMode(gameId) {
+  try {
+    const response = await fetch(
+      `${API_URL}?action=getSlowMode&gameId=${encodeURIComponent(gameId)}`
+    );
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.seconds ?? 0;
+  } catch (error) {
+    console.error('Error loading slow mode:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a newly created room via Lambda
+ * POST (body: { action: 'createRoom', room })
+ */
+export async function saveRoom(room) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'createRoom', room }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    console.log('✅ Room saved to DynamoDB:', data);
+    return data.room || null;
+  } catch (error) {
+    console.error('❌ Error saving room to DynamoDB:', error);
+    return null;
+  }
+}
+
+/**
+ * Load the room list via Lambda
+ * GET ?action=getRooms
+ */
+export async function getRooms() {
+  try {
+    const response = await fetch(`${API_URL}?action=getRooms`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    console.log(`Loaded ${data.rooms?.length || 0} rooms`);
+    return data.rooms || [];
+  } catch (error) {
+    console.error('Error loading rooms:', error);
+    return [];
+  }
+}
@@ -0,0 +1,47 @@
+import { getMessages } from './dynamodbService';
+
+// A page of `count` messages, newest first, one second apart
+const makePage = (count, newest) => Array.from({ length: count }, (_, i) => ({
+  id: `m${newest - i * 1000}`,
+  text: 'hi',
+  timestamp: newest - i * 1000,
+}));
+
+const respondWith = (body) => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => body });
+};
+
+describe('getMessages', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('pages back by timestamp when the Lambda sends no cursor', async () => {
+    respondWith({ messages: makePage(3, 10000) });
+
+    const page = await getMessages('room', 3);
+    expect(page.nextCursor).toBe(8000);
+    expect(global.fetch.mock.calls[0][0]).not.toContain('before=');
+  });
+
+  test('stops paging when a Lambda ignores the cursor and sends the same page again', async () => {
+    respondWith({ messages: makePage(3, 10000) });
+
+    const page = await getMessages('room', 3, 8000);
+    expect(page.messages).toHaveLength(3);
+    expect(page.nextCursor).toBeNull();
+    expect(page.failed).toBe(false);
+  });
+
+  test("stops paging when the Lambda's cursor doesn't move", async () => {
+    respondWith({ messages: makePage(3, 10000), nextCursor: 'abc' });
+
+    expect((await getMessages('room', 3, 'abc')).nextCursor).toBeNull();
+    expect((await getMessages('room', 3, 'xyz')).nextCursor).toBe('abc');
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Filter Preference
+ *
+ * PURPOSE: Remembers whether the user wants to see the words the room's
+ * chat filter masks (see utils/moderation.js). It's their own choice and
+ * only changes what this browser shows — nothing is sent anywhere.
+ */
+
+const STORAGE_KEY = 'smacktalk-show-filtered-text';
+
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    // Access can throw when storage is disabled
+    return null;
+  }
+};
+
+/**
+ * Loads whether masked words should be shown
+ * @returns {boolean} False unless the user turned it on
+ */
+export function loadShowFilteredText() {
+  try {
+    return getStorage()?.getItem(STORAGE_KEY) === 'true';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Saves whether masked words should be shown
+ * @param {boolean} show - The user's choice
+ */
+export function saveShowFilteredText(show) {
+  try {
+    getStorage()?.setItem(STORAGE_KEY, String(show));
+  } catch (error) {
+    console.warn('Could not save filter preference:', error);
+  }
+}
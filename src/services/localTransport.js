@@ -0,0 +1,91 @@
+/**
+ * Local Transport
+ *
+ * PURPOSE: An in-process realtime transport for development and automated
+ * tests — no AWS account or network needed. Every connection in the same
+ * JavaScript process shares one bus, so two connection managers (two
+ * simulated users) see each other's events.
+ *
+ * When the browser supports BroadcastChannel, the bus is also bridged
+ * across tabs of the same origin, so you can chat between two local tabs.
+ */
+
+// channelName -> Set of subscriber observers ({ next, error })
+const bus = new Map();
+
+// Cross-tab bridge (browser only)
+const BRIDGE_NAME = 'smacktalk-local-transport';
+let bridge = null;
+
+/**
+ * Delivers an event to every local subscriber of a channel
+ * Each subscriber gets its own copy, just like events over the wire.
+ */
+function deliver(channelName, event) {
+  const observers = bus.get(channelName);
+  if (!observers) return;
+
+  const json = JSON.stringify(event);
+  [...observers].forEach(observer => observer.next(JSON.parse(json)));
+}
+
+function getBridge() {
+  if (!bridge && typeof BroadcastChannel !== 'undefined') {
+    bridge = new BroadcastChannel(BRIDGE_NAME);
+    bridge.onmessage = (message) => {
+      const { channelName, event } = message.data || {};
+      if (channelName) deliver(channelName, event);
+    };
+  }
+  return bridge;
+}
+
+/**
+ * Clears all local subscriptions (for tests)
+ */
+export function resetLocalBus() {
+  bus.clear();
+}
+
+/**
+ * Creates the local transport
+ * @param {object} options
+ * @param {number} options.latencyMs - Simulated network delay for publishes (default 0)
+ * @returns {object} Transport { name, connect, publish }
+ */
+export function createLocalTransport({ latencyMs = 0 } = {}) {
+  return {
+    name: 'local',
+
+    async connect(channelName) {
+      getBridge();
+      const observers = new Set();
+
+      return {
+        subscribe(observer) {
+          observers.add(observer);
+          if (!bus.has(channelName)) bus.set(channelName, new Set());
+          bus.get(channelName).add(observer);
+
+          return {
+            unsubscribe() {
+              observers.delete(observer);
+              bus.get(channelName)?.delete(observer);
+            },
+          };
+        },
+        close() {
+          observers.forEach(observer => bus.get(channelName)?.delete(observer));
+          observers.clear();
+        },
+      };
+    },
+
+    async publish(channelName, event) {
+      // Deliver asynchronously, like a real round trip through the server
+      await new Promise(resolve => setTimeout(resolve, latencyMs));
+      deliver(channelName, event);
+      getBridge()?.postMessage({ channelName, event });
+    },
+  };
+}
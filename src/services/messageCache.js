@@ -0,0 +1,122 @@
+/**
+ * Message Cache
+ *
+ * PURPOSE: Holds the oldest messages App evicts to keep its in-memory list
+ * short on busy game days. Scrolling back takes them from here before
+ * asking the Lambda for older pages, so the history stays gapless and
+ * evicted messages come back instantly.
+ *
+ * Evicted messages live in sessionStorage (one key per room, per tab), so
+ * they're off the JavaScript heap and out of React state. When storage is
+ * unavailable or full they're kept in a plain Map instead.
+ *
+ * Each room's cache is ordered oldest first; every evicted batch is newer
+ * than what's already cached, and scroll-back takes from the newest end.
+ */
+
+const STORAGE_PREFIX = 'smacktalk-message-cache:';
+
+// roomId -> Set of cached message IDs (cheap lookups without parsing storage)
+const cachedIds = new Map();
+
+// roomId -> cached messages, for when sessionStorage can't be used
+const memoryStore = new Map();
+
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.sessionStorage : null;
+  } catch {
+    // Access can throw when storage is disabled
+    return null;
+  }
+};
+
+function readCache(roomId) {
+  if (memoryStore.has(roomId)) return memoryStore.get(roomId);
+
+  const storage = getStorage();
+  if (!storage) return [];
+
+  try {
+    return JSON.parse(storage.getItem(STORAGE_PREFIX + roomId)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function writeCache(roomId, messages) {
+  cachedIds.set(roomId, new Set(messages.map(msg => msg.id)));
+
+  const storage = getStorage();
+  if (messages.length === 0) {
+    memoryStore.delete(roomId);
+    storage?.removeItem(STORAGE_PREFIX + roomId);
+    return;
+  }
+
+  if (storage && !memoryStore.has(roomId)) {
+    try {
+      storage.setItem(STORAGE_PREFIX + roomId, JSON.stringify(messages));
+      return;
+    } catch (error) {
+      // Quota exceeded — this room falls back to memory from now on
+      console.warn('Message cache storage full, keeping evicted messages in memory:', error);
+      storage.removeItem(STORAGE_PREFIX + roomId);
+    }
+  }
+  memoryStore.set(roomId, messages);
+}
+
+/**
+ * Stores messages evicted from the front of a room's list
+ * @param {string} roomId - Room ID
+ * @param {Array} messages - Evicted messages, oldest first (all newer than the cache)
+ */
+export function evictMessages(roomId, messages) {
+  if (messages.length === 0) return;
+  writeCache(roomId, [...readCache(roomId), ...messages]);
+}
+
+/**
+ * Takes the newest cached messages back out of the cache
+ * @param {string} roomId - Room ID
+ * @param {number} count - How many to take
+ * @returns {Array} Up to count messages, oldest first
+ */
+export function takeCachedMessages(roomId, count) {
+  const cached = readCache(roomId);
+  if (cached.length === 0) return [];
+
+  const taken = cached.slice(-count);
+  writeCache(roomId, cached.slice(0, -count));
+  return taken;
+}
+
+/**
+ * How many messages a room has cached
+ * @param {string} roomId - Room ID
+ * @returns {number}
+ */
+export function getCachedCount(roomId) {
+  return cachedIds.get(roomId)?.size || 0;
+}
+
+/**
+ * Applies a change (edit, delete, reaction) to a cached message, so it's
+ * up to date when it comes back
+ * @param {string} roomId - Room ID
+ * @param {string} messageId - The changed message
+ * @param {function} transform - (messages) => messages, e.g. applyMessageEdit
+ */
+export function updateCachedMessage(roomId, messageId, transform) {
+  if (!cachedIds.get(roomId)?.has(messageId)) return;
+  writeCache(roomId, transform(readCache(roomId)));
+}
+
+/**
+ * Empties a room's cache (on entering or leaving the room)
+ * @param {string} roomId - Room ID
+ */
+export function clearCachedMessages(roomId) {
+  writeCache(roomId, []);
+}
@@ -0,0 +1,48 @@
+/**
+ * Muted Users
+ *
+ * PURPOSE: Remembers who the user has muted with /mute, so their messages
+ * stay hidden across rooms and reloads. Muting is personal — nobody else
+ * is told, and nothing is sent to the Lambda.
+ *
+ * The list lives in localStorage as [{ id, username }]. When storage is
+ * unavailable, mutes last until the tab is closed.
+ */
+
+const STORAGE_KEY = 'smacktalk-muted-users';
+
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    // Access can throw when storage is disabled
+    return null;
+  }
+};
+
+/**
+ * Loads the muted users
+ * @returns {Array} - [{ id, username }]
+ */
+export function loadMutedUsers() {
+  try {
+    const stored = JSON.parse(getStorage()?.getItem(STORAGE_KEY));
+    return Array.isArray(stored)
+      ? stored.filter(entry => typeof entry?.id === 'string' && typeof entry.username === 'string')
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Saves the muted users
+ * @param {Array} mutedUsers - [{ id, username }]
+ */
+export function saveMutedUsers(mutedUsers) {
+  try {
+    getStorage()?.setItem(STORAGE_KEY, JSON.stringify(mutedUsers));
+  } catch (error) {
+    console.warn('Could not save muted users:', error);
+  }
+}
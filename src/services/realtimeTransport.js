@@ -0,0 +1,53 @@
+/**
+ * Realtime Transport
+ *
+ * PURPOSE: Picks the transport the app uses to talk to a room channel.
+ * Everything realtime goes through the connection manager, which only
+ * knows about this interface — never about AppSync directly.
+ *
+ * TRANSPORT INTERFACE:
+ * - name: 'appsync' | 'local'
+ * - connect(channelName): Promise resolving to a channel handle with
+ *   - subscribe({ next, error }): next(payload) per event; returns { unsubscribe }
+ *   - close(): Disconnects the channel
+ * - publish(channelName, payload): Promise resolving once the event is sent
+ *
+ * SELECTION (REACT_APP_REALTIME_TRANSPORT):
+ * - 'appsync': AWS AppSync Events (production)
+ * - 'local': In-process bus, bridged across local tabs (no AWS account needed)
+ * - unset: AppSync if REACT_APP_APPSYNC_ENDPOINT is configured, otherwise local
+ *
+ * The chosen transport is wrapped by tab sync (see tabSync.js) so only the
+ * leader tab holds real connections; other tabs go through it.
+ */
+
+import { createAppSyncTransport } from './appsyncTransport';
+import { createLocalTransport } from './localTransport';
+import { createTabSync } from './tabSync';
+
+let tabSync = null;
+
+/**
+ * Returns the app-wide tab sync layer (created on first call)
+ * @returns {object} Tab sync - see createTabSync
+ */
+export function getTabSync() {
+  if (!tabSync) {
+    const configured = process.env.REACT_APP_REALTIME_TRANSPORT;
+    const useLocal = configured === 'local'
+      || (!configured && !process.env.REACT_APP_APPSYNC_ENDPOINT);
+
+    const transport = useLocal ? createLocalTransport() : createAppSyncTransport();
+    tabSync = createTabSync(transport);
+    console.log('Realtime transport:', tabSync.transport.name);
+  }
+  return tabSync;
+}
+
+/**
+ * Returns the app-wide realtime transport
+ * @returns {object} Transport
+ */
+export function getRealtimeTransport() {
+  return getTabSync().transport;
+}
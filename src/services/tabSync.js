@@ -0,0 +1,396 @@
+/**
+ * Tab Sync Service
+ *
+ * PURPOSE: Lets several tabs of the app share one realtime connection and
+ * one stream of XP writes. One tab is elected leader (Web Locks API); it
+ * owns the real channel connections and the XP API calls. The other tabs
+ * (followers) reach the channel through the leader over BroadcastChannel:
+ *
+ * - Follower connect/publish requests are forwarded to the leader
+ * - The leader relays every received channel event to followers that
+ *   asked for that channel
+ * - App-level messages (XP awards, stats updates) go between tabs via post/on
+ *
+ * When the leader tab closes, the lock passes to another tab. Follower
+ * subscriptions are errored so their connection managers reconnect
+ * through the new leader using their normal backoff.
+ *
+ * Browsers without BroadcastChannel or Web Locks (and tests) get a
+ * pass-through: every tab is its own leader, exactly like before.
+ */
+
+const SYNC_CHANNEL_NAME = 'smacktalk-tab-sync';
+const LEADER_LOCK_NAME = 'smacktalk-leader';
+const CONNECT_TIMEOUT_MS = 5000;
+const PUBLISH_TIMEOUT_MS = 10000;
+
+/**
+ * Creates the tab sync layer around a realtime transport
+ * @param {object} innerTransport - The real transport (AppSync or local)
+ * @returns {object} { transport, isLeader, onLeaderChange, post, on }
+ */
+export function createTabSync(innerTransport) {
+  const supported = typeof BroadcastChannel !== 'undefined'
+    && typeof navigator !== 'undefined'
+    && navigator.locks;
+
+  if (!supported) {
+    return {
+      transport: innerTransport,
+      isLeader: () => true,
+      onLeaderChange: () => () => {},
+      post: () => {},
+      on: () => () => {},
+    };
+  }
+
+  const tabId = `tab-${Math.random().toString(36).slice(2, 10)}`;
+  const sync = new BroadcastChannel(SYNC_CHANNEL_NAME);
+  let leader = false;
+  let requestCounter = 0;
+
+  const leaderListeners = new Set();
+  const appHandlers = new Map(); // type -> Set of handlers
+  const pendingRequests = new Map(); // requestId -> { resolve, reject, timer }
+
+  // Leader side: channelName -> { ready, handle, subscription, localObservers, followerTabs }
+  const channels = new Map();
+
+  // Follower side: channelName -> Set of observers fed by the leader's relay
+  const relayedObservers = new Map();
+
+  const post = (message) => sync.postMessage({ ...message, from: tabId });
+
+  // ----------------------------------------
+  // Leader side — real connections shared by all tabs
+  // ----------------------------------------
+
+  const dropChannel = (channelName, error) => {
+    const entry = channels.get(channelName);
+    if (!entry) return;
+
+    channels.delete(channelName);
+    entry.subscription?.unsubscribe();
+    entry.handle?.close();
+    entry.localObservers.forEach(observer => observer.error?.(error));
+    if (entry.followerTabs.size > 0) {
+      post({ kind: 'channel-error', channelName });
+    }
+  };
+
+  const releaseIfUnused = (channelName) => {
+    const entry = channels.get(channelName);
+    if (entry && entry.localObservers.size === 0 && entry.followerTabs.size === 0) {
+      channels.delete(channelName);
+      entry.subscription?.unsubscribe();
+      entry.handle?.close();
+    }
+  };
+
+  const ensureChannel = async (channelName) => {
+    let entry = channels.get(channelName);
+    if (!entry) {
+      entry = {
+        ready: null,
+        handle: null,
+        subscription: null,
+        localObservers: new Set(),
+        followerTabs: new Set(),
+      };
+      channels.set(channelName, entry);
+
+      const created = entry;
+      created.ready = innerTransport.connect(channelName)
+        .then(handle => {
+          created.handle = handle;
+          created.subscription = handle.subscribe({
+            next: (payload) => {
+              created.localObservers.forEach(observer => observer.next(payload));
+              if (created.followerTabs.size > 0) {
+                post({ kind: 'event', channelName, payload });
+              }
+            },
+            error: (error) => dropChannel(channelName, error),
+          });
+        })
+        .catch(error => {
+          channels.delete(channelName);
+          throw error;
+        });
+    }
+
+    await entry.ready;
+    return entry;
+  };
+
+  const handleLeaderMessage = async (message) => {
+    switch (message.kind) {
+      case 'connect':
+        try {
+          const entry = await ensureChannel(message.channelName);
+          entry.followerTabs.add(message.from);
+          post({ kind: 'connected', to: message.from, channelName: message.channelName });
+        } catch (error) {
+          post({ kind: 'connect-failed', to: message.from, channelName: message.channelName });
+        }
+        break;
+
+      case 'release':
+        channels.get(message.channelName)?.followerTabs.delete(message.from);
+        releaseIfUnused(message.channelName);
+        break;
+
+      case 'release-all':
+        [...channels.keys()].forEach(channelName => {
+          channels.get(channelName).followerTabs.delete(message.from);
+          releaseIfUnused(channelName);
+        });
+        break;
+
+      case 'publish':
+        try {
+          await innerTransport.publish(message.channelName, message.event);
+          post({ kind: 'publish-result', to: message.from, requestId: message.requestId, ok: true });
+        } catch (error) {
+          post({ kind: 'publish-result', to: message.from, requestId: message.requestId, ok: false });
+        }
+        break;
+
+      default:
+        break;
+    }
+  };
+
+  // ----------------------------------------
+  // Follower side — requests answered by the leader
+  // ----------------------------------------
+
+  const requestFromLeader = (message, replyKind, timeoutMs) => {
+    requestCounter += 1;
+    const requestId = `${tabId}-${requestCounter}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingRequests.delete(requestId);
+        reject(new Error(`No reply from leader tab (${replyKind})`));
+      }, timeoutMs);
+
+      pendingRequests.set(requestId, { resolve, reject, timer, replyKind, channelName: message.channelName });
+      post({ ...message, requestId });
+    });
+  };
+
+  const settleRequest = (message, match) => {
+    pendingRequests.forEach((request, requestId) => {
+      if (!match(request, requestId)) return;
+
+      clearTimeout(request.timer);
+      pendingRequests.delete(requestId);
+      if (message.ok === false || message.kind === 'connect-failed') {
+        request.reject(new Error(`Leader tab could not ${request.replyKind}`));
+      } else {
+        request.resolve();
+      }
+    });
+  };
+
+  // Error every relayed subscription so connection managers reconnect
+  const resetRelayedObservers = (reason) => {
+    const error = new Error(reason);
+    relayedObservers.forEach(observers => {
+      observers.forEach(observer => observer.error?.(error));
+    });
+    relayedObservers.clear();
+  };
+
+  const handleFollowerMessage = (message) => {
+    switch (message.kind) {
+      case 'event':
+        [...(relayedObservers.get(message.channelName) || [])].forEach(observer => {
+          observer.next(message.payload);
+        });
+        break;
+
+      case 'channel-error': {
+        const observers = relayedObservers.get(message.channelName);
+        relayedObservers.delete(message.channelName);
+        observers?.forEach(observer => observer.error?.(new Error('Leader lost the channel')));
+        break;
+      }
+
+      case 'leader':
+        resetRelayedObservers('Leader tab changed');
+        break;
+
+      case 'connected':
+      case 'connect-failed':
+        if (message.to === tabId) {
+          settleRequest(message, request =>
+            request.replyKind === 'connect' && request.channelName === message.channelName
+          );
+        }
+        break;
+
+      case 'publish-result':
+        if (message.to === tabId) {
+          settleRequest(message, (request, requestId) => requestId === message.requestId);
+        }
+        break;
+
+      default:
+        break;
+    }
+  };
+
+  sync.onmessage = ({ data: message }) => {
+    if (!message || message.from === tabId) return;
+
+    if (message.kind === 'app') {
+      appHandlers.get(message.type)?.forEach(handler => handler(message.data));
+      return;
+    }
+
+    if (leader) {
+      handleLeaderMessage(message);
+    } else {
+      handleFollowerMessage(message);
+    }
+  };
+
+  // ----------------------------------------
+  // Leader election
+  // ----------------------------------------
+
+  const becomeLeader = () => {
+    console.log('This tab is now the leader:', tabId);
+    leader = true;
+    resetRelayedObservers('This tab became the leader');
+    post({ kind: 'leader' });
+    leaderListeners.forEach(listener => listener(true));
+    // Hold the lock for as long as the tab is open
+    return new Promise(() => {});
+  };
+
+  // Resolves once we know whether we're the leader or another tab is
+  const ready = new Promise(resolve => {
+    navigator.locks.request(LEADER_LOCK_NAME, { ifAvailable: true }, (lock) => {
+      if (lock) {
+        resolve();
+        return becomeLeader();
+      }
+
+      resolve();
+      navigator.locks.request(LEADER_LOCK_NAME, becomeLeader);
+      return undefined;
+    });
+  });
+
+  // Let the leader stop relaying to us when this tab goes away
+  window.addEventListener('pagehide', () => {
+    if (!leader) post({ kind: 'release-all' });
+  });
+
+  // ----------------------------------------
+  // Transport seen by the connection manager
+  // ----------------------------------------
+
+  const transport = {
+    name: `${innerTransport.name} (shared across tabs)`,
+
+    async connect(channelName) {
+      await ready;
+
+      if (leader) {
+        const entry = await ensureChannel(channelName);
+        const handleObservers = new Set();
+
+        return {
+          subscribe(observer) {
+            handleObservers.add(observer);
+            entry.localObservers.add(observer);
+            return {
+              unsubscribe() {
+                handleObservers.delete(observer);
+                entry.localObservers.delete(observer);
+                releaseIfUnused(channelName);
+              },
+            };
+          },
+          close() {
+            handleObservers.forEach(observer => entry.localObservers.delete(observer));
+            handleObservers.clear();
+            releaseIfUnused(channelName);
+          },
+        };
+      }
+
+      await requestFromLeader({ kind: 'connect', channelName }, 'connect', CONNECT_TIMEOUT_MS);
+      const handleObservers = new Set();
+
+      return {
+        subscribe(observer) {
+          handleObservers.add(observer);
+          if (!relayedObservers.has(channelName)) relayedObservers.set(channelName, new Set());
+          relayedObservers.get(channelName).add(observer);
+          return {
+            unsubscribe() {
+              handleObservers.delete(observer);
+              relayedObservers.get(channelName)?.delete(observer);
+            },
+          };
+        },
+        close() {
+          handleObservers.forEach(observer => relayedObservers.get(channelName)?.delete(observer));
+          handleObservers.clear();
+          post({ kind: 'release', channelName });
+        },
+      };
+    },
+
+    async publish(channelName, event) {
+      await ready;
+
+      if (leader) {
+        return innerTransport.publish(channelName, event);
+      }
+      return requestFromLeader({ kind: 'publish', channelName, event }, 'publish', PUBLISH_TIMEOUT_MS);
+    },
+  };
+
+  return {
+    transport,
+
+    /**
+     * Whether this tab currently owns the real connection and XP writes
+     */
+    isLeader: () => leader,
+
+    /**
+     * Calls listener(true) when this tab becomes the leader
+     * @returns {Function} Unsubscribe
+     */
+    onLeaderChange(listener) {
+      leaderListeners.add(listener);
+      return () => leaderListeners.delete(listener);
+    },
+
+    /**
+     * Sends an app-level message to every other tab
+     * @param {string} type - Message type, e.g. 'xp' or 'stats'
+     * @param {object} data - Message payload
+     */
+    post(type, data) {
+      post({ kind: 'app', type, data });
+    },
+
+    /**
+     * Listens for app-level messages of one type from other tabs
+     * @returns {Function} Unsubscribe
+     */
+    on(type, handler) {
+      if (!appHandlers.has(type)) appHandlers.set(type, new Set());
+      appHandlers.get(type).add(handler);
+      return () => appHandlers.get(type).delete(handler);
+    },
+  };
+}
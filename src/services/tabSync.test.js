@@ -0,0 +1,222 @@
+import { createTabSync } from './tabSync';
+
+const CHANNEL = '/default/game-chat/test-room';
+
+// BroadcastChannel between the "tabs" of one test: messages go to every
+// other open channel with the same name, asynchronously, as copies
+class FakeBroadcastChannel {
+  static open = new Set();
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.open.add(this);
+  }
+
+  postMessage(data) {
+    // Tabs from earlier tests are gone
+    if (!FakeBroadcastChannel.open.has(this)) return;
+
+    const json = JSON.stringify(data);
+    [...FakeBroadcastChannel.open].forEach(channel => {
+      if (channel !== this && channel.name === this.name) {
+        Promise.resolve().then(() => channel.onmessage?.({ data: JSON.parse(json) }));
+      }
+    });
+  }
+
+  close() {
+    FakeBroadcastChannel.open.delete(this);
+  }
+}
+
+// navigator.locks with a single exclusive lock
+const createFakeLocks = () => {
+  let held = false;
+  const waiting = [];
+
+  return {
+    request(name, options, callback) {
+      if (typeof options === 'function') {
+        return this.request(name, {}, options);
+      }
+      if (!held) {
+        held = true;
+        return Promise.resolve(callback({ name }));
+      }
+      if (options.ifAvailable) {
+        return Promise.resolve(callback(null));
+      }
+      return new Promise(resolve => waiting.push(() => resolve(callback({ name }))));
+    },
+    // The leader tab closed: hand the lock to the next tab waiting
+    release() {
+      held = false;
+      const next = waiting.shift();
+      if (next) {
+        held = true;
+        next();
+      }
+    },
+  };
+};
+
+// The real transport behind the leader, with a way to push channel events
+const createFakeTransport = () => {
+  const observers = new Set();
+  const handles = [];
+
+  return {
+    name: 'fake',
+    observers,
+    handles,
+    connect: jest.fn(async () => {
+      const handle = {
+        subscribe(observer) {
+          observers.add(observer);
+          return { unsubscribe: () => observers.delete(observer) };
+        },
+        close: jest.fn(),
+      };
+      handles.push(handle);
+      return handle;
+    }),
+    publish: jest.fn(async () => {}),
+    emit: payload => [...observers].forEach(observer => observer.next(payload)),
+    fail: error => [...observers].forEach(observer => observer.error(error)),
+  };
+};
+
+const createObserver = () => ({ next: jest.fn(), error: jest.fn() });
+
+// Lets the fake channel's messages and the promises they settle run
+const flush = async () => {
+  for (let i = 0; i < 20; i++) {
+    await Promise.resolve();
+  }
+};
+
+let locks;
+
+beforeEach(() => {
+  locks = createFakeLocks();
+  global.BroadcastChannel = FakeBroadcastChannel;
+  Object.defineProperty(navigator, 'locks', { value: locks, configurable: true });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  FakeBroadcastChannel.open.clear();
+  delete global.BroadcastChannel;
+  delete navigator.locks;
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+// A leader tab and a follower tab, each with its own real transport
+const createTabs = () => {
+  const leaderTransport = createFakeTransport();
+  const followerTransport = createFakeTransport();
+  const leader = createTabSync(leaderTransport);
+  const follower = createTabSync(followerTransport);
+  return { leader, follower, leaderTransport, followerTransport };
+};
+
+// Connects the follower through the leader and subscribes to the channel
+const connectFollower = async (follower) => {
+  const connecting = follower.transport.connect(CHANNEL);
+  await flush();
+  const handle = await connecting;
+  const observer = createObserver();
+  handle.subscribe(observer);
+  return { handle, observer };
+};
+
+test('tabs without BroadcastChannel or Web Locks use the transport directly', () => {
+  delete global.BroadcastChannel;
+  const transport = createFakeTransport();
+
+  const tabSync = createTabSync(transport);
+  expect(tabSync.transport).toBe(transport);
+  expect(tabSync.isLeader()).toBe(true);
+});
+
+test("a follower connects and publishes through the leader's transport", async () => {
+  const { leader, follower, leaderTransport, followerTransport } = createTabs();
+  await flush();
+  expect(leader.isLeader()).toBe(true);
+  expect(follower.isLeader()).toBe(false);
+
+  const { observer } = await connectFollower(follower);
+  expect(leaderTransport.connect).toHaveBeenCalledWith(CHANNEL);
+  expect(followerTransport.connect).not.toHaveBeenCalled();
+
+  // Channel events reach the follower through the leader
+  leaderTransport.emit({ id: 'm1', text: 'Go Bills' });
+  await flush();
+  expect(observer.next).toHaveBeenCalledWith({ id: 'm1', text: 'Go Bills' });
+
+  const publishing = follower.transport.publish(CHANNEL, { id: 'm2' });
+  await flush();
+  await expect(publishing).resolves.toBeUndefined();
+  expect(leaderTransport.publish).toHaveBeenCalledWith(CHANNEL, { id: 'm2' });
+  expect(followerTransport.publish).not.toHaveBeenCalled();
+});
+
+test('a publish with no answer from the leader times out', async () => {
+  jest.useFakeTimers();
+  // Another tab holds the lock but never answers
+  locks.request('smacktalk-leader', () => new Promise(() => {}));
+  const follower = createTabSync(createFakeTransport());
+
+  const publishing = follower.transport.publish(CHANNEL, { id: 'm1' });
+  await flush();
+  jest.advanceTimersByTime(10000);
+  await expect(publishing).rejects.toThrow('No reply from leader tab (publish)');
+});
+
+test("the leader losing the channel errors the follower's subscription", async () => {
+  const { follower, leaderTransport } = createTabs();
+  const { observer } = await connectFollower(follower);
+
+  leaderTransport.fail(new Error('socket closed'));
+  await flush();
+  expect(observer.error).toHaveBeenCalledWith(new Error('Leader lost the channel'));
+
+  // The dead subscription gets nothing more
+  leaderTransport.emit({ id: 'm1' });
+  await flush();
+  expect(observer.next).not.toHaveBeenCalled();
+});
+
+test('a new leader errors relayed subscriptions so they reconnect', async () => {
+  const { follower } = createTabs();
+  const { observer } = await connectFollower(follower);
+
+  new FakeBroadcastChannel('smacktalk-tab-sync').postMessage({ kind: 'leader', from: 'tab-new' });
+  await flush();
+  expect(observer.error).toHaveBeenCalledWith(new Error('Leader tab changed'));
+});
+
+test('a follower takes over when the leader tab closes', async () => {
+  const { follower } = createTabs();
+  const { observer } = await connectFollower(follower);
+  const onLeaderChange = jest.fn();
+  follower.onLeaderChange(onLeaderChange);
+
+  locks.release();
+  await flush();
+  expect(follower.isLeader()).toBe(true);
+  expect(onLeaderChange).toHaveBeenCalledWith(true);
+  expect(observer.error).toHaveBeenCalledWith(new Error('This tab became the leader'));
+});
+
+test("closing a follower tab releases the leader's connection", async () => {
+  const { follower, leaderTransport } = createTabs();
+  await connectFollower(follower);
+  const [handle] = leaderTransport.handles;
+
+  window.dispatchEvent(new Event('pagehide'));
+  await flush();
+  expect(handle.close).toHaveBeenCalled();
+});
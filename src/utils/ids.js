@@ -0,0 +1,27 @@
+/**
+ * ID generation for chat events
+ *
+ * IDs are created on the client and travel unchanged through the channel
+ * (events.post), DynamoDB (saveMessage) and history (getMessages), so the
+ * same message always dedupes against itself no matter where it came from.
+ *
+ * Format: <authorId>-<time>-<sequence>-<random>
+ * - authorId keeps two users apart even in the same millisecond
+ * - sequence keeps one tab's rapid-fire sends apart (reactions, GIFs)
+ * - random keeps two tabs of the same user apart
+ */
+
+// Per-tab counter, wraps well before it could overlap within one millisecond
+let sequence = 0;
+
+/**
+ * Creates a globally unique ID for a message, reaction or poll
+ * @param {string} authorId - Clerk user ID (or guest ID) of the sender
+ * @returns {string} - e.g. "user_2abc-lz3k9x1q-1f-k8s2mq"
+ */
+export function createMessageId(authorId) {
+  sequence = (sequence + 1) % 1679616; // 36^4
+  const time = Date.now().toString(36);
+  const random = Math.random().toString(36).slice(2, 8);
+  return `${authorId || 'anonymous'}-${time}-${sequence.toString(36)}-${random}`;
+}
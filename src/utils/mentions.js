@@ -0,0 +1,179 @@
+/**
+ * @mention helpers
+ *
+ * Autocomplete suggests recent message authors. When a message is sent,
+ * every "@name" matching a known author is stored on it as structured
+ * metadata — mentions: [{ id, username }] — so receivers can tell who was
+ * mentioned without re-parsing names (which can change or collide).
+ */
+
+export const MAX_MENTION_CANDIDATES = 20;
+export const MAX_MENTIONS_PER_MESSAGE = 10;
+
+// "@" at the start or after whitespace, followed by the partial name up to the caret
+const ACTIVE_MENTION_PATTERN = /(?:^|\s)@([^\s@]*)$/;
+
+// A handle ends where the name does: "@Mike," and "@Mike!" mention Mike, "@Mikey" doesn't
+const NAME_CHARACTER = /[\p{L}\p{N}_]/u;
+
+/**
+ * Finds the next "@username" in lowercased text, as a whole handle
+ * @returns {number} Index of the "@", or -1
+ */
+function findHandle(lowered, username, from = 0) {
+  const handle = `@${username.toLowerCase()}`;
+  let index = lowered.indexOf(handle, from);
+  while (index !== -1 && NAME_CHARACTER.test(lowered.charAt(index + handle.length))) {
+    index = lowered.indexOf(handle, index + 1);
+  }
+  return index;
+}
+
+/**
+ * Lists recent message authors, most recent first, for autocomplete
+ * @param {Array} messages - Current messages
+ * @param {string} currentUserId - Excluded from the list
+ * @returns {Array} - [{ id, username }]
+ */
+export function getMentionCandidates(messages, currentUserId) {
+  const seen = new Set();
+  const candidates = [];
+
+  for (let i = messages.length - 1; i >= 0 && candidates.length < MAX_MENTION_CANDIDATES; i--) {
+    const message = messages[i];
+    if (message.type !== 'message' || !message.authorId || !message.username) continue;
+    if (message.authorId === currentUserId || seen.has(message.authorId)) continue;
+
+    seen.add(message.authorId);
+    candidates.push({ id: message.authorId, username: message.username });
+  }
+  return candidates;
+}
+
+/**
+ * Finds the @mention being typed at the caret, if any
+ * @param {string} text - Input text
+ * @param {number} caret - Caret position
+ * @returns {object|null} - { query, start } where start is the index of the "@"
+ */
+export function getActiveMention(text, caret) {
+  const match = text.slice(0, caret).match(ACTIVE_MENTION_PATTERN);
+  if (!match) return null;
+
+  return { query: match[1], start: caret - match[1].length - 1 };
+}
+
+/**
+ * Filters candidates by the partial name typed after "@"
+ * @param {Array} candidates - [{ id, username }]
+ * @param {string} query - Partial name (case-insensitive)
+ * @returns {Array} - Names starting with the query first, then names containing it
+ */
+export function filterMentionCandidates(candidates, query) {
+  const lowered = query.toLowerCase();
+  const startsWith = candidates.filter(c => c.username.toLowerCase().startsWith(lowered));
+  const contains = candidates.filter(c =>
+    !c.username.toLowerCase().startsWith(lowered) && c.username.toLowerCase().includes(lowered)
+  );
+  return [...startsWith, ...contains];
+}
+
+/**
+ * Replaces the partial "@query" with the chosen "@username "
+ * @param {string} text - Input text
+ * @param {object} activeMention - { query, start } from getActiveMention
+ * @param {string} username - Chosen name
+ * @returns {object} - { text, caret } with the caret after the inserted name
+ */
+export function insertMention(text, activeMention, username) {
+  const end = activeMention.start + 1 + activeMention.query.length;
+  const inserted = `@${username} `;
+  return {
+    text: text.slice(0, activeMention.start) + inserted + text.slice(end),
+    caret: activeMention.start + inserted.length,
+  };
+}
+
+/**
+ * Collects the known authors mentioned in a message
+ * @param {string} text - Message text
+ * @param {Array} candidates - [{ id, username }]
+ * @returns {Array} - [{ id, username }] in the order they appear
+ */
+export function extractMentions(text, candidates) {
+  // Longest names first so "@Mike Jr" wins over "@Mike"
+  const byLength = [...candidates].sort((a, b) => b.username.length - a.username.length);
+  const lowered = text.toLowerCase();
+  const found = [];
+  const insideFound = (at) => found.some(m => at >= m.index && at < m.end);
+
+  byLength.forEach(candidate => {
+    if (found.some(m => m.id === candidate.id)) return;
+
+    // Skip matches inside a longer name already found ("@Mike" in "@Mike Jr")
+    let index = findHandle(lowered, candidate.username);
+    while (index !== -1 && insideFound(index)) {
+      index = findHandle(lowered, candidate.username, index + 1);
+    }
+    if (index !== -1) {
+      found.push({ ...candidate, index, end: index + candidate.username.length + 1 });
+    }
+  });
+
+  return found
+    .sort((a, b) => a.index - b.index)
+    .slice(0, MAX_MENTIONS_PER_MESSAGE)
+    .map(({ id, username }) => ({ id, username }));
+}
+
+/**
+ * Whether a message mentions a user
+ * @param {object} message - Message with mentions
+ * @param {string} userId - User's ID
+ * @returns {boolean}
+ */
+export function mentionsUser(message, userId) {
+  return Boolean(userId) && Array.isArray(message.mentions)
+    && message.mentions.some(mention => mention.id === userId);
+}
+
+/**
+ * Splits text into plain and @mention segments for highlighting
+ * @param {string} text - Message text
+ * @param {Array} mentions - [{ id, username }]
+ * @returns {Array} - [{ text, mention }] where mention is the matched entry or null
+ */
+export function splitMentions(text, mentions) {
+  if (!text || !Array.isArray(mentions) || mentions.length === 0) {
+    return [{ text, mention: null }];
+  }
+
+  const segments = [];
+  const lowered = text.toLowerCase();
+  const byLength = [...mentions].sort((a, b) => b.username.length - a.username.length);
+  let cursor = 0;
+
+  while (cursor < text.length) {
+    let next = null;
+    for (const mention of byLength) {
+      const index = findHandle(lowered, mention.username, cursor);
+      if (index !== -1 && (!next || index < next.index)) {
+        next = { index, mention };
+      }
+    }
+
+    if (!next) break;
+
+    if (next.index > cursor) {
+      segments.push({ text: text.slice(cursor, next.index), mention: null });
+    }
+    const end = next.index + next.mention.username.length + 1;
+    segments.push({ text: text.slice(next.index, end), mention: next.mention });
+    cursor = end;
+  }
+
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), mention: null });
+  }
+  return segments;
+}
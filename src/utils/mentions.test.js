@@ -0,0 +1,67 @@
+import {
+  getMentionCandidates,
+  getActiveMention,
+  filterMentionCandidates,
+  insertMention,
+  extractMentions,
+  mentionsUser,
+  splitMentions,
+} from './mentions';
+
+const MIKE = { id: 'u1', username: 'Mike' };
+const MIKE_JR = { id: 'u2', username: 'Mike Jr' };
+const SAM = { id: 'u3', username: 'sam_99' };
+const CANDIDATES = [MIKE, MIKE_JR, SAM];
+
+describe('mentions', () => {
+  test('suggests recent authors once each, newest first, without us', () => {
+    const messages = [
+      { type: 'message', authorId: 'u1', username: 'Mike' },
+      { type: 'system', authorId: 'u9', username: 'bot' },
+      { type: 'message', authorId: 'me', username: 'me' },
+      { type: 'message', authorId: 'u3', username: 'sam_99' },
+      { type: 'message', authorId: 'u1', username: 'Mike' },
+    ];
+    expect(getMentionCandidates(messages, 'me')).toEqual([MIKE, SAM]);
+  });
+
+  test('finds and completes the handle being typed', () => {
+    expect(getActiveMention('hey @mi', 7)).toEqual({ query: 'mi', start: 4 });
+    expect(getActiveMention('mail me@home', 12)).toBeNull();
+    expect(filterMentionCandidates(CANDIDATES, 'JR')).toEqual([MIKE_JR]);
+    expect(filterMentionCandidates(CANDIDATES, 'mi')).toEqual([MIKE, MIKE_JR]);
+
+    expect(insertMention('hey @mi!', { query: 'mi', start: 4 }, 'Mike'))
+      .toEqual({ text: 'hey @Mike !', caret: 10 });
+  });
+
+  test('matches handles in any case', () => {
+    expect(extractMentions('nice one @MIKE and @Sam_99', CANDIDATES)).toEqual([MIKE, SAM]);
+    expect(mentionsUser({ mentions: [MIKE] }, 'u1')).toBe(true);
+    expect(mentionsUser({ mentions: [MIKE] }, 'u3')).toBe(false);
+    expect(mentionsUser({}, 'u1')).toBe(false);
+  });
+
+  test('reads handles through the punctuation around them', () => {
+    expect(extractMentions('(@Mike), you there?', CANDIDATES)).toEqual([MIKE]);
+    expect(extractMentions('@mike!!! @sam_99.', CANDIDATES)).toEqual([MIKE, SAM]);
+    // The longer name wins, and a name inside a longer handle isn't a mention
+    expect(extractMentions('@Mike Jr called it', CANDIDATES)).toEqual([MIKE_JR]);
+    expect(extractMentions('@Mikey and @sam_999', CANDIDATES)).toEqual([]);
+  });
+
+  test('ignores names that aren\'t known authors', () => {
+    expect(extractMentions('@Nobody @ Mike', CANDIDATES)).toEqual([]);
+    expect(splitMentions('hi @Nobody', [MIKE])).toEqual([{ text: 'hi @Nobody', mention: null }]);
+  });
+
+  test('splits text around the mentions for highlighting', () => {
+    expect(splitMentions('gg @mike, @Mikey and @Mike', [MIKE])).toEqual([
+      { text: 'gg ', mention: null },
+      { text: '@mike', mention: MIKE },
+      { text: ', @Mikey and ', mention: null },
+      { text: '@Mike', mention: MIKE },
+    ]);
+    expect(splitMentions('no mentions', [])).toEqual([{ text: 'no mentions', mention: null }]);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Message edit / delete helpers
+ *
+ * Edits and deletes travel as their own channel events and are stored on
+ * the original row, so live clients and late joiners end in the same state:
+ * - message-edit: { id, messageId, text, editorId, editedAt }
+ * - message-delete: { id, messageId, deletedById, byModerator }
+ *
+ * A deleted message stays in the list as a tombstone (deleted: true, no
+ * text or media) so the conversation around it still makes sense.
+ *
+ * Anyone can publish on the channel, so byModerator is only a hint: a live
+ * delete by someone other than the author is applied once the Lambda shows
+ * the stored message deleted (see getMessage).
+ */
+
+export const MESSAGE_EDIT_EVENT_TYPES = ['message-edit', 'message-delete'];
+
+/**
+ * Whether a user may edit a message (their own, delivered, not deleted)
+ * @param {object} message - Chat message
+ * @param {string} userId - Current user's ID
+ * @returns {boolean}
+ */
+export function canEditMessage(message, userId) {
+  return Boolean(
+    userId &&
+    message.type === 'message' &&
+    message.authorId === userId &&
+    !message.deleted &&
+    message.text &&
+    (!message.status || message.status === 'sent')
+  );
+}
+
+/**
+ * Whether a user may delete a message (their own, or any as a moderator)
+ * @param {object} message - Chat message
+ * @param {string} userId - Current user's ID
+ * @param {boolean} moderator - Whether the user is a moderator
+ * @returns {boolean}
+ */
+export function canDeleteMessage(message, userId, moderator = false) {
+  if (!userId || message.type !== 'message' || message.deleted) return false;
+  return moderator || message.authorId === userId;
+}
+
+/**
+ * Applies an edit to the matching message
+ * Edits from anyone but the author are ignored.
+ * @param {Array} messages - Current messages
+ * @param {object} edit - { messageId, text, editorId, editedAt }
+ * @returns {Array} - Updated messages (same array if nothing changed)
+ */
+export function applyMessageEdit(messages, edit) {
+  let changed = false;
+  const updated = messages.map(message => {
+    if (message.id !== edit.messageId || message.deleted) return message;
+    if (message.authorId && message.authorId !== edit.editorId) return message;
+
+    changed = true;
+    return { ...message, text: edit.text, editedAt: edit.editedAt || Date.now() };
+  });
+  return changed ? updated : messages;
+}
+
+/**
+ * Turns the matching message into a tombstone
+ * Deletes from anyone but the author are ignored unless verified.
+ * @param {Array} messages - Current messages
+ * @param {object} deletion - { messageId, deletedById, byModerator }
+ * @param {object} options - { verified: true } once the Lambda has stored
+ *   the delete (a moderator's own, or one confirmed with getMessage)
+ * @returns {Array} - Updated messages (same array if nothing changed)
+ */
+export function applyMessageDelete(messages, deletion, { verified = false } = {}) {
+  let changed = false;
+  const updated = messages.map(message => {
+    if (message.id !== deletion.messageId || message.deleted) return message;
+    if (!verified && (!message.authorId || message.authorId !== deletion.deletedById)) {
+      return message;
+    }
+
+    changed = true;
+    const { media, replyTo, editedAt, ...rest } = message;
+    return { ...rest, text: '', deleted: true };
+  });
+  return changed ? updated : messages;
+}
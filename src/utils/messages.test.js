@@ -0,0 +1,14 @@
+import { applyMessageDelete } from './messages';
+
+const messages = [{ id: 'm1', type: 'message', authorId: 'author', username: 'fan', text: 'take' }];
+
+describe('messages', () => {
+  test('applies live deletes from the author only, unless verified', () => {
+    expect(applyMessageDelete(messages, { messageId: 'm1', deletedById: 'author' })[0].deleted).toBe(true);
+
+    // A client claiming to be a moderator isn't enough on its own
+    const claimed = { messageId: 'm1', deletedById: 'someone', byModerator: true };
+    expect(applyMessageDelete(messages, claimed)).toBe(messages);
+    expect(applyMessageDelete(messages, claimed, { verified: true })[0]).toMatchObject({ text: '', deleted: true });
+  });
+});
@@ -0,0 +1,313 @@
+/**
+ * Content filter helpers
+ *
+ * Rivalry trash talk is the point; slurs and doxxing aren't. Each room has
+ * a filter level, set by moderators and the room's creator:
+ * - off: nothing is filtered
+ * - mask (default): profanity and slurs are masked ("f•••"), and personal
+ *   info (phone numbers, emails, street addresses) is removed before sending
+ * - block: as mask, but messages with slurs or personal info can't be sent
+ *   at all, and are dropped if they arrive anyway
+ *
+ * Words are matched after leetspeak normalization ("sh!t", "a$$",
+ * "fuuuck") against the lists below — but only words with letters in
+ * them, so stats like "455 yards" are left alone. Masking happens when messages are
+ * shown, so changing the level applies to the history too, and anyone can
+ * choose to see the masked words (see FilterSettings).
+ *
+ * Level changes are persisted by the Lambda, which checks who's allowed to
+ * set them, then announced as room-filter { id, level, setById, setBy }
+ * events. Anyone can publish on the channel, so receivers re-read the
+ * stored level rather than trust the event.
+ */
+
+export const FILTER_LEVELS = ['off', 'mask', 'block'];
+export const DEFAULT_FILTER_LEVEL = 'mask';
+export const FILTER_EVENT_TYPE = 'room-filter';
+
+export const FILTER_LEVEL_LABELS = {
+  off: 'Off',
+  mask: 'Mask',
+  block: 'Block',
+};
+
+export const FILTER_LEVEL_DESCRIPTIONS = {
+  off: 'Anything goes',
+  mask: 'Hide profanity and slurs, strip personal info',
+  block: 'Refuse messages with slurs or personal info',
+};
+
+// Masked, and refused in 'block' rooms
+const SLURS = [
+  'nigger', 'nigga', 'faggot', 'fag', 'retard', 'retarded', 'chink', 'spic',
+  'kike', 'wetback', 'tranny', 'dyke', 'gook', 'beaner', 'raghead',
+];
+
+// Masked, never refused — this is a sports chat
+const PROFANITY = [
+  'fuck', 'fucker', 'fucking', 'motherfucker', 'shit', 'bullshit', 'bitch',
+  'asshole', 'ass', 'bastard', 'dick', 'dickhead', 'cunt', 'piss', 'cock',
+  'prick', 'twat', 'wanker',
+];
+
+// Words that contain a listed word but aren't rude ("cocky" isn't "cock" + "y")
+const WORD_EXCEPTIONS = new Set([
+  'cocky', 'cockier', 'cockiest', 'cockiness', 'cocker', 'cockers', 'cockpit',
+  'cocktail', 'gamecock', 'gamecocks', 'peacock', 'peacocks', 'hancock',
+  'dickens', 'shiitake', 'scunthorpe',
+]);
+
+// Names that contain a listed word — sports chat brings them up a lot
+const NAME_EXCEPTIONS = /\bdick\s+(?:butkus|vermeil|vitale|lebeau|bavetta|enberg)\b/gi;
+
+// Street types, matched as typed: "St", "st" or "ST"
+const STREET_SUFFIXES = ['street', 'st', 'avenue', 'ave', 'boulevard', 'blvd', 'lane', 'ln', 'court', 'ct'];
+const anyCase = (word) => `${word}|${word[0].toUpperCase()}${word.slice(1)}|${word.toUpperCase()}`;
+
+// Personal info that could be used to find someone
+const PERSONAL_INFO_PATTERNS = [
+  // Email addresses
+  /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi,
+  // US phone numbers written like one: 555-123-4567, (555) 123 4567,
+  // +1 555.123.4567 — a bare run of digits is more likely a game or play ID
+  /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g,
+  // ...unless it follows "call me", "text", "my number" and the like
+  /(?<=\b(?:call|text|phone|cell|number|digits)\b[^\d\n]{0,12})\+?1?\d{10}\b/gi,
+  // Social security numbers
+  /\b\d{3}-\d{2}-\d{4}\b/g,
+  // Street addresses: 123 Main St, 4500 W Elm Avenue. The street's name has
+  // to be capitalized, so "38 minutes on the court" is game talk, and "road"
+  // and "drive" aren't suffixes ("a 12 play drive", "a 4 game road trip")
+  new RegExp(`\\b\\d{1,5}\\s+(?:[A-Z][A-Za-z]*\\.?\\s+){1,3}(?:${STREET_SUFFIXES.map(anyCase).join('|')})\\b\\.?`, 'g'),
+];
+
+const LEET_CHARACTERS = {
+  0: 'o',
+  1: 'i',
+  3: 'e',
+  4: 'a',
+  5: 's',
+  7: 't',
+  8: 'b',
+  '@': 'a',
+  $: 's',
+  '!': 'i',
+  '|': 'i',
+  '+': 't',
+};
+
+// Endings tried on profanity ("bitches", "pissed", "shitty") — not on
+// slurs, where they'd catch innocent words ("spices")
+const PROFANITY_SUFFIXES = ['es', 's', 'ed', 'er', 'ers', 'ing', 'in', 'y'];
+
+// Words are runs of non-space characters, stopping at HTML entities
+// (message text arrives escaped, e.g. "it&#x27;s")
+const WORD_PATTERN = /(?:[^\s&]|&(?![#a-z0-9]+;))+/gi;
+
+// Quotes, brackets and rich text markers around a word aren't part of it
+const LEADING_WRAPPERS = /^[("'“‘[*_|~]+/;
+const TRAILING_WRAPPERS = /[.,!?;:)"'”’\]*_|~]+$/;
+
+const MASK_CHARACTER = '•';
+const PERSONAL_INFO_MASK = '[personal info hidden]';
+
+const collapseRepeats = (word) => word.replace(/(.)\1+/g, '$1');
+
+/**
+ * Builds a lookup from each word's collapsed form ("ass" -> "as") to the
+ * word and its category
+ */
+function buildWordList() {
+  const list = new Map();
+  PROFANITY.forEach(word => list.set(collapseRepeats(word), { word, category: 'profanity' }));
+  SLURS.forEach(word => list.set(collapseRepeats(word), { word, category: 'slur' }));
+  return list;
+}
+
+const WORD_LIST = buildWordList();
+
+/**
+ * Reduces a word to plain lowercase letters, undoing leetspeak
+ * @param {string} word - Word as typed
+ * @returns {string} e.g. "Sh!7" -> "shit" ('' for a word without letters, like "455")
+ */
+export function normalizeWord(word) {
+  if (!/[a-z]/i.test(word)) return '';
+
+  return Array.from(word.toLowerCase())
+    .map(char => LEET_CHARACTERS[char] || char)
+    .join('')
+    .replace(/[^a-z]/g, '');
+}
+
+/**
+ * Looks up a normalized word, allowing stretched letters ("fuuuck")
+ * @returns {object|null} { word, category }
+ */
+function lookUpWord(normalized) {
+  const entry = WORD_LIST.get(collapseRepeats(normalized));
+  // "as" collapses like "ass" — only words at least as long as the entry count
+  return entry && normalized.length >= entry.word.length ? entry : null;
+}
+
+/**
+ * Finds the category of a word, if it's on a list
+ * @param {string} word - A word, without surrounding punctuation
+ * @returns {string|null} 'profanity', 'slur' or null
+ */
+function classifyWord(word) {
+  const normalized = normalizeWord(word);
+  if (normalized.length < 3 || WORD_EXCEPTIONS.has(normalized)) return null;
+
+  const entry = lookUpWord(normalized);
+  if (entry) return entry.category;
+
+  for (const suffix of PROFANITY_SUFFIXES) {
+    if (normalized.endsWith(suffix)) {
+      const stem = lookUpWord(normalized.slice(0, -suffix.length));
+      if (stem?.category === 'profanity') return 'profanity';
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds everything the filter cares about in a message
+ * @param {string} text - Message text (plain or HTML-escaped)
+ * @returns {Array} [{ start, end, category }] in order, not overlapping —
+ *   category is 'profanity', 'slur' or 'personal-info'
+ */
+export function findFilteredTerms(text) {
+  if (typeof text !== 'string' || text === '') return [];
+
+  const terms = [];
+
+  PERSONAL_INFO_PATTERNS.forEach(pattern => {
+    for (const match of text.matchAll(pattern)) {
+      terms.push({ start: match.index, end: match.index + match[0].length, category: 'personal-info' });
+    }
+  });
+
+  const names = Array.from(text.matchAll(NAME_EXCEPTIONS), match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (names.some(name => match.index >= name.start && match.index < name.end)) continue;
+
+    const leading = match[0].match(LEADING_WRAPPERS)?.[0].length || 0;
+    const core = match[0].slice(leading).replace(TRAILING_WRAPPERS, '');
+    const category = core && classifyWord(core);
+    if (category) {
+      const start = match.index + leading;
+      terms.push({ start, end: start + core.length, category });
+    }
+  }
+
+  // Personal info wins where it overlaps a word
+  return terms
+    .sort((a, b) => a.start - b.start)
+    .filter((term, index, sorted) => index === 0 || term.start >= sorted[index - 1].end);
+}
+
+/**
+ * Masks the given terms: words keep their first letter, personal info is replaced
+ */
+function maskTerms(text, terms) {
+  let result = '';
+  let cursor = 0;
+  terms.forEach(term => {
+    const original = text.slice(term.start, term.end);
+    result += text.slice(cursor, term.start);
+    result += term.category === 'personal-info'
+      ? PERSONAL_INFO_MASK
+      : original[0] + MASK_CHARACTER.repeat(original.length - 1);
+    cursor = term.end;
+  });
+  return result + text.slice(cursor);
+}
+
+/**
+ * Reads a room's filter level, falling back to the default
+ * @param {string} level - Level as stored or received
+ * @returns {string} One of FILTER_LEVELS
+ */
+export function getFilterLevel(level) {
+  return FILTER_LEVELS.includes(level) ? level : DEFAULT_FILTER_LEVEL;
+}
+
+/**
+ * Checks a message before it's published
+ * @param {string} text - Message text as typed
+ * @param {string} level - The room's filter level
+ * @returns {object} { text, blockedReason } — text with personal info
+ *   removed, or blockedReason when the room refuses the message
+ */
+export function screenOutgoingText(text, level) {
+  if (level === 'off') return { text, blockedReason: null };
+
+  const terms = findFilteredTerms(text);
+  const personalInfo = terms.filter(term => term.category === 'personal-info');
+
+  if (level === 'block') {
+    if (terms.some(term => term.category === 'slur')) {
+      return { text, blockedReason: 'This room blocks slurs — keep the trash talk about the game' };
+    }
+    if (personalInfo.length > 0) {
+      return { text, blockedReason: "Don't post personal info like phone numbers, emails or addresses" };
+    }
+  }
+
+  return { text: personalInfo.length > 0 ? maskTerms(text, personalInfo) : text, blockedReason: null };
+}
+
+/**
+ * Whether a received message should be dropped (only in 'block' rooms)
+ * @param {string} text - Message text
+ * @param {string} level - The room's filter level
+ * @returns {boolean}
+ */
+export function isBlockedText(text, level) {
+  return level === 'block'
+    && findFilteredTerms(text).some(term => term.category !== 'profanity');
+}
+
+/**
+ * Masks filtered words and personal info for display
+ * @param {string} text - Message text
+ * @param {string} level - The room's filter level
+ * @returns {string} Masked text (the same string if nothing matched)
+ */
+export function maskFilteredText(text, level) {
+  if (level === 'off') return text;
+
+  const terms = findFilteredTerms(text);
+  return terms.length > 0 ? maskTerms(text, terms) : text;
+}
+
+// message -> { level, masked } so unchanged messages aren't re-scanned on every render
+const maskedMessages = new WeakMap();
+
+/**
+ * Masks a message's text and quoted reply for display
+ * @param {object} message - Chat message
+ * @param {string} level - The room's filter level
+ * @returns {object} The masked message, or the same object if nothing matched
+ */
+export function maskMessage(message, level) {
+  const cached = maskedMessages.get(message);
+  if (cached?.level === level) return cached.masked;
+
+  const text = message.text && maskFilteredText(message.text, level);
+  const quote = message.replyTo?.text && maskFilteredText(message.replyTo.text, level);
+
+  let masked = message;
+  if (text !== message.text || quote !== message.replyTo?.text) {
+    masked = { ...message, text };
+    if (message.replyTo) masked.replyTo = { ...message.replyTo, text: quote };
+  }
+
+  maskedMessages.set(message, { level, masked });
+  return masked;
+}
@@ -0,0 +1,80 @@
+import {
+  findFilteredTerms,
+  maskFilteredText,
+  screenOutgoingText,
+  isBlockedText,
+  maskMessage,
+  getFilterLevel,
+} from './moderation';
+
+describe('content filter', () => {
+  test('catches leetspeak and stretched words, not innocent ones', () => {
+    expect(maskFilteredText('that call was sh!t', 'mask')).toBe('that call was s•••');
+    expect(maskFilteredText('FUUUCK the refs!', 'mask')).toBe('F••••• the refs!');
+    expect(maskFilteredText('what a bunch of a$$es', 'mask')).toBe('what a bunch of a••••');
+    expect(maskFilteredText('pass the glass, assess the class', 'mask'))
+      .toBe('pass the glass, assess the class');
+    expect(maskFilteredText('spicy take as usual', 'mask')).toBe('spicy take as usual');
+  });
+
+  test('leaves stats and sports words alone', () => {
+    expect(maskFilteredText('455 total yards, 5-0 start', 'mask')).toBe('455 total yards, 5-0 start');
+    expect(maskFilteredText('cocky QB, Gamecocks fans, peacock feathers', 'mask'))
+      .toBe('cocky QB, Gamecocks fans, peacock feathers');
+    expect(maskFilteredText('4ss', 'mask')).toBe('4••');
+    expect(maskFilteredText('Dick Butkus was a beast', 'mask')).toBe('Dick Butkus was a beast');
+    expect(maskFilteredText('what a dick', 'mask')).toBe('what a d•••');
+  });
+
+  test("doesn't read court talk as a street address", () => {
+    ['he played 38 minutes on the court', '5 guys on the court tonight'].forEach(text => {
+      expect(findFilteredTerms(text)).toEqual([]);
+      expect(screenOutgoingText(text, 'block')).toEqual({ text, blockedReason: null });
+    });
+    expect(findFilteredTerms('meet at 12 Oak Ct and 300 MAPLE LANE')).toHaveLength(2);
+  });
+
+  test('finds personal info but not game talk', () => {
+    const terms = findFilteredTerms('call me at 555-123-4567 or mail joe@example.com');
+    expect(terms.map(term => term.category)).toEqual(['personal-info', 'personal-info']);
+    expect(findFilteredTerms('he lives at 42 Elm St.')).toHaveLength(1);
+    expect(findFilteredTerms('a 12 play drive and a 4 game road trip, 24-17 final')).toEqual([]);
+    expect(findFilteredTerms('(555) 123 4567 and +1 555.123.4567')).toHaveLength(2);
+  });
+
+  test('needs separators or context before calling digits a phone number', () => {
+    const gameId = 'Game id 1760900000, replay at 17:60';
+    expect(findFilteredTerms(gameId)).toEqual([]);
+    expect(screenOutgoingText(gameId, 'block').blockedReason).toBeNull();
+
+    expect(maskFilteredText('text me 5551234567', 'mask')).toBe('text me [personal info hidden]');
+    expect(maskFilteredText('my number is: +15551234567', 'mask'))
+      .toBe('my number is: [personal info hidden]');
+  });
+
+  test('applies the room level before publishing', () => {
+    const doxx = 'his number is 555-123-4567';
+    expect(screenOutgoingText(doxx, 'off').text).toBe(doxx);
+    expect(screenOutgoingText(doxx, 'mask')).toEqual({
+      text: 'his number is [personal info hidden]',
+      blockedReason: null,
+    });
+    expect(screenOutgoingText(doxx, 'block').blockedReason).toBeTruthy();
+    expect(screenOutgoingText('refs are sh1t', 'block').blockedReason).toBeNull();
+
+    expect(isBlockedText(doxx, 'block')).toBe(true);
+    expect(isBlockedText(doxx, 'mask')).toBe(false);
+    expect(getFilterLevel('nonsense')).toBe('mask');
+  });
+
+  test('masks messages and their quotes without copying clean ones', () => {
+    const clean = { id: 'a', text: 'great game' };
+    expect(maskMessage(clean, 'mask')).toBe(clean);
+
+    const dirty = { id: 'b', text: 'bullshit', replyTo: { id: 'a', text: 'what the fuck' } };
+    const masked = maskMessage(dirty, 'mask');
+    expect(masked.text).toBe('b•••••••');
+    expect(masked.replyTo.text).toBe('what the f•••');
+    expect(maskMessage(dirty, 'off')).toBe(dirty);
+  });
+});
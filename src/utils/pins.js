@@ -0,0 +1,158 @@
+/**
+ * Pinned message and announcement helpers
+ *
+ * A room has a short list of pins. Most pin a chat message (the game
+ * thread rules, the kickoff time, a legendary take) and keep a snapshot
+ * of it, so the pinned bar still shows it when the message isn't loaded.
+ * The room's one-line announcement banner is the same thing: a pin of
+ * kind 'announcement' with a fixed ID, so setting a new one replaces it.
+ *
+ * PIN: { id, kind, messageId?, authorId?, username?, text, pinnedById, pinnedBy, pinnedAt }
+ *
+ * Changes are persisted by the Lambda, which checks that whoever pins is a
+ * moderator or the room's creator, then announced as room-pin { id, pin } /
+ * room-unpin { id, pinId, unpinnedById } events. Anyone can publish on the
+ * channel, so receivers reload the stored pins rather than apply the event.
+ *
+ * Pin text is stored and sent as plain text and escaped once, by sanitizePin.
+ */
+
+import { canManageRoom } from './roles';
+import { getReplySnippet } from './replies';
+import { unescapeText } from './sanitize';
+
+export const PIN_EVENT_TYPES = ['room-pin', 'room-unpin'];
+
+export const ANNOUNCEMENT_PIN_ID = 'announcement';
+export const MAX_ANNOUNCEMENT_LENGTH = 140;
+
+// Oldest message pins drop off past this many
+export const MAX_MESSAGE_PINS = 10;
+
+/**
+ * Whether a user may pin, unpin and set the announcement in a room
+ * @param {object} user - Clerk user (or null)
+ * @param {object} room - Room with createdById
+ * @returns {boolean}
+ */
+export function canManagePins(user, room) {
+  return canManageRoom(user, room);
+}
+
+/**
+ * Builds the pin for a chat message
+ * @param {object} message - The message being pinned (received messages
+ *   hold escaped text, which is decoded first)
+ * @param {object} pinner - { id, username } of who pins it
+ * @returns {object} Pin
+ */
+export function createMessagePin(message, pinner) {
+  return {
+    id: `message:${message.id}`,
+    kind: 'message',
+    messageId: message.id,
+    authorId: message.authorId,
+    username: unescapeText(message.username),
+    text: getReplySnippet(unescapeText(message.text)) || (message.media ? '[GIF]' : ''),
+    pinnedById: pinner.id,
+    pinnedBy: pinner.username,
+    pinnedAt: Date.now(),
+  };
+}
+
+/**
+ * Builds the room announcement
+ * @param {string} text - One-line announcement (already trimmed to length)
+ * @param {object} pinner - { id, username } of who sets it
+ * @returns {object} Pin
+ */
+export function createAnnouncementPin(text, pinner) {
+  return {
+    id: ANNOUNCEMENT_PIN_ID,
+    kind: 'announcement',
+    text,
+    pinnedById: pinner.id,
+    pinnedBy: pinner.username,
+    pinnedAt: Date.now(),
+  };
+}
+
+/**
+ * Applies a room-pin / room-unpin event
+ * @param {Array} pins - Current pins
+ * @param {object} event - room-pin { pin } or room-unpin { pinId }
+ * @returns {Array} - Updated pins, newest first
+ */
+export function applyPinEvent(pins, event) {
+  if (event.type === 'room-unpin') {
+    return pins.filter(pin => pin.id !== event.pinId);
+  }
+
+  const pin = event.pin;
+  if (!pin?.id) return pins;
+
+  const others = pins.filter(p => p.id !== pin.id);
+  const messagePins = [pin, ...others]
+    .filter(p => p.kind === 'message')
+    .slice(0, MAX_MESSAGE_PINS);
+  const announcement = [pin, ...others].find(p => p.kind === 'announcement');
+  return announcement ? [announcement, ...messagePins] : messagePins;
+}
+
+/**
+ * Merges pins loaded from the Lambda with any that arrived live meanwhile
+ * @param {Array} pins - Current pins
+ * @param {Array} loaded - Persisted pins
+ * @returns {Array} - Merged pins, newest first
+ */
+export function mergePins(pins, loaded) {
+  const merged = new Map();
+  [...loaded, ...pins].forEach(pin => merged.set(pin.id, pin));
+  // Oldest first, so each pin lands in front of the ones before it
+  return [...merged.values()]
+    .sort((a, b) => a.pinnedAt - b.pinnedAt)
+    .reduce((result, pin) => applyPinEvent(result, { type: 'room-pin', pin }), []);
+}
+
+/**
+ * Updates a pinned message's snapshot when the message is edited
+ * Edits from anyone but the author are ignored, as in applyMessageEdit.
+ * @param {Array} pins - Current pins
+ * @param {object} edit - { messageId, text, editorId }
+ * @returns {Array} - Updated pins (same array if none matched)
+ */
+export function applyPinnedMessageEdit(pins, edit) {
+  const matches = (pin) => pin.messageId === edit.messageId
+    && (!pin.authorId || pin.authorId === edit.editorId);
+  if (!pins.some(matches)) return pins;
+
+  return pins.map(pin => (matches(pin) ? { ...pin, text: getReplySnippet(edit.text) } : pin));
+}
+
+/**
+ * Drops a message's pin when the message is deleted
+ * Follows the same rules as applyMessageDelete.
+ * @param {Array} pins - Current pins
+ * @param {object} deletion - { messageId, deletedById }
+ * @param {object} options - { verified: true } once the Lambda has stored the delete
+ * @returns {Array} - Updated pins (same array if none matched)
+ */
+export function applyPinnedMessageDelete(pins, deletion, { verified = false } = {}) {
+  const matches = (pin) => pin.messageId === deletion.messageId
+    && (verified || (pin.authorId && pin.authorId === deletion.deletedById));
+  if (!pins.some(matches)) return pins;
+
+  return pins.filter(pin => !matches(pin));
+}
+
+/**
+ * Splits pins into the announcement and the pinned messages
+ * @param {Array} pins - Current pins
+ * @returns {object} - { announcement, messagePins }
+ */
+export function splitPins(pins) {
+  return {
+    announcement: pins.find(pin => pin.kind === 'announcement') || null,
+    messagePins: pins.filter(pin => pin.kind === 'message'),
+  };
+}
@@ -0,0 +1,66 @@
+import {
+  MAX_MESSAGE_PINS,
+  applyPinEvent,
+  applyPinnedMessageEdit,
+  applyPinnedMessageDelete,
+  createAnnouncementPin,
+  createMessagePin,
+  mergePins,
+  splitPins,
+} from './pins';
+import { sanitizePin, sanitizeText } from './sanitize';
+
+const host = { id: 'host', username: 'Host' };
+const message = (id) => ({ id, authorId: 'author', username: 'fan', text: `take ${id}` });
+const pinEvent = (pin) => ({ type: 'room-pin', pin });
+
+describe('pins', () => {
+  test('keeps one announcement and the newest message pins', () => {
+    let pins = [];
+    for (let i = 0; i < MAX_MESSAGE_PINS + 2; i++) {
+      pins = applyPinEvent(pins, pinEvent(createMessagePin(message(`m${i}`), host)));
+    }
+    pins = applyPinEvent(pins, pinEvent(createAnnouncementPin('Kickoff 8:15', host)));
+    pins = applyPinEvent(pins, pinEvent(createAnnouncementPin('Kickoff moved to 8:30', host)));
+
+    const { announcement, messagePins } = splitPins(pins);
+    expect(announcement.text).toBe('Kickoff moved to 8:30');
+    expect(messagePins).toHaveLength(MAX_MESSAGE_PINS);
+    expect(messagePins[0].messageId).toBe(`m${MAX_MESSAGE_PINS + 1}`);
+  });
+
+  test('unpins by pin ID', () => {
+    const pins = applyPinEvent([], pinEvent(createMessagePin(message('m1'), host)));
+    expect(applyPinEvent(pins, { type: 'room-unpin', pinId: 'message:m1' })).toEqual([]);
+  });
+
+  test('follows edits and deletes by the author only', () => {
+    const pins = [createMessagePin(message('m1'), host)];
+
+    expect(applyPinnedMessageEdit(pins, { messageId: 'm1', text: 'fake', editorId: 'troll' })).toBe(pins);
+    expect(applyPinnedMessageEdit(pins, { messageId: 'm1', text: 'fixed', editorId: 'author' })[0].text)
+      .toBe('fixed');
+
+    expect(applyPinnedMessageDelete(pins, { messageId: 'm1', deletedById: 'troll' })).toBe(pins);
+    // A moderator's delete counts once the Lambda has confirmed it
+    expect(applyPinnedMessageDelete(pins, { messageId: 'm1', deletedById: 'mod', byModerator: true }))
+      .toBe(pins);
+    expect(applyPinnedMessageDelete(pins, { messageId: 'm1', deletedById: 'mod' }, { verified: true }))
+      .toEqual([]);
+    expect(applyPinnedMessageDelete(pins, { messageId: 'm1', deletedById: 'author' })).toEqual([]);
+  });
+
+  test('snapshots received messages as plain text, escaped once on receipt', () => {
+    const received = { ...message('m1'), text: sanitizeText("it's 3/4") };
+
+    const pin = createMessagePin(received, host);
+    expect(pin.text).toBe("it's 3/4");
+    expect(sanitizePin(pin).text).toBe(sanitizeText("it's 3/4"));
+  });
+
+  test('merges loaded pins with live ones, newest first', () => {
+    const older = { ...createMessagePin(message('m1'), host), pinnedAt: 1 };
+    const newer = { ...createMessagePin(message('m2'), host), pinnedAt: 2 };
+    expect(mergePins([newer], [older, newer]).map(pin => pin.id)).toEqual(['message:m2', 'message:m1']);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Poll state helpers
+ *
+ * Pure functions for updating the polls array. Every client in the room
+ * applies the same poll-created / poll-vote / poll-closed events through
+ * these helpers, so they all converge on the same totals.
+ *
+ * Each poll tracks its voters as { voterId: optionId }, which keeps
+ * vote events idempotent (a repeated or echoed vote is ignored).
+ */
+
+/**
+ * Adds a poll to the front of the list, or replaces it if already present
+ * @param {Array} polls - Current polls
+ * @param {object} poll - Poll to add or replace
+ * @returns {Array} - Updated polls
+ */
+export function upsertPoll(polls, poll) {
+  if (polls.some(p => p.id === poll.id)) {
+    return polls.map(p => (p.id === poll.id ? poll : p));
+  }
+  return [poll, ...polls];
+}
+
+/**
+ * Records a vote on a poll (one vote per voter, active polls only)
+ * @param {Array} polls - Current polls
+ * @param {string} pollId - Poll being voted on
+ * @param {number} optionId - Chosen option
+ * @param {string} voterId - Unique ID of the voter
+ * @returns {Array} - Updated polls
+ */
+export function applyPollVote(polls, pollId, optionId, voterId) {
+  return polls.map(poll => {
+    if (poll.id !== pollId || poll.status !== 'active') return poll;
+
+    const voters = poll.voters || {};
+    if (voters[voterId] !== undefined) return poll; // Already voted
+    if (!poll.options.some(opt => opt.id === optionId)) return poll;
+
+    return {
+      ...poll,
+      voters: { ...voters, [voterId]: optionId },
+      options: poll.options.map(opt =>
+        opt.id === optionId ? { ...opt, votes: opt.votes + 1 } : opt
+      ),
+      totalVotes: poll.totalVotes + 1,
+    };
+  });
+}
+
+/**
+ * Takes back a voter's vote (an optimistic vote the Lambda didn't store)
+ * @param {Array} polls - Current polls
+ * @param {string} pollId - Poll the vote was on
+ * @param {string} voterId - Unique ID of the voter
+ * @returns {Array} - Updated polls
+ */
+export function removePollVote(polls, pollId, voterId) {
+  return polls.map(poll => {
+    const optionId = poll.voters?.[voterId];
+    if (poll.id !== pollId || optionId === undefined) return poll;
+
+    const { [voterId]: removed, ...voters } = poll.voters;
+    return {
+      ...poll,
+      voters,
+      options: poll.options.map(opt =>
+        opt.id === optionId ? { ...opt, votes: Math.max(0, opt.votes - 1) } : opt
+      ),
+      totalVotes: Math.max(0, poll.totalVotes - 1),
+    };
+  });
+}
+
+/**
+ * Finds the option with the most votes (first option wins ties)
+ * @param {object} poll - The poll to check
+ * @returns {object} - The winning option
+ */
+export function getPollWinner(poll) {
+  let winner = poll.options[0];
+  poll.options.forEach(opt => {
+    if (opt.votes > winner.votes) winner = opt;
+  });
+  return winner;
+}
+
+/**
+ * Builds the { pollId: optionId } map of a single user's votes
+ * @param {Array} polls - All polls
+ * @param {string} voterId - The user to look up
+ * @returns {object} - Map of poll IDs to the option the user picked
+ */
+export function getUserVotes(polls, voterId) {
+  if (!voterId) return {};
+
+  return polls.reduce((votes, poll) => {
+    const optionId = poll.voters?.[voterId];
+    if (optionId !== undefined) {
+      votes[poll.id] = optionId;
+    }
+    return votes;
+  }, {});
+}
+
+/**
+ * Adds persisted polls that aren't already in the list.
+ * Polls already in state (e.g. received live while loading) win, since
+ * they may carry votes newer than the stored copy.
+ * @param {Array} polls - Current polls
+ * @param {Array} loadedPolls - Polls loaded from the backend
+ * @returns {Array} - Merged polls
+ */
+export function mergePolls(polls, loadedPolls) {
+  const knownIds = new Set(polls.map(p => p.id));
+  return [...polls, ...loadedPolls.filter(p => !knownIds.has(p.id))];
+}
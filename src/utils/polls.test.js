@@ -0,0 +1,24 @@
+import { applyPollVote, removePollVote } from './polls';
+
+const poll = {
+  id: 'poll-1',
+  status: 'active',
+  options: [{ id: 0, text: 'Chiefs', votes: 0 }, { id: 1, text: 'Bills', votes: 2 }],
+  totalVotes: 2,
+  voters: { a: 1, b: 1 },
+};
+
+describe('polls', () => {
+  test('takes back a vote that was applied optimistically', () => {
+    const voted = applyPollVote([poll], 'poll-1', 0, 'me');
+    expect(voted[0].totalVotes).toBe(3);
+
+    const [rolledBack] = removePollVote(voted, 'poll-1', 'me');
+    expect(rolledBack.voters).toEqual({ a: 1, b: 1 });
+    expect(rolledBack.options[0].votes).toBe(0);
+    expect(rolledBack.totalVotes).toBe(2);
+
+    // Nothing to take back
+    expect(removePollVote([poll], 'poll-1', 'me')[0]).toBe(poll);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Presence helpers
+ *
+ * Everyone in a room publishes presence-join when they connect, a
+ * presence-heartbeat every PRESENCE_HEARTBEAT_MS and presence-leave when
+ * they go. The roster is an object keyed by member ID:
+ *   { [memberId]: { memberId, username, xp, lastSeen } }
+ * Members we haven't heard from within PRESENCE_TIMEOUT_MS are dropped,
+ * which covers closed laptops and dropped connections that never said bye.
+ */
+
+export const PRESENCE_HEARTBEAT_MS = 15000;
+export const PRESENCE_TIMEOUT_MS = 45000;
+
+export const PRESENCE_EVENT_TYPES = ['presence-join', 'presence-heartbeat', 'presence-leave'];
+
+/**
+ * Applies a presence event to the roster
+ * @param {object} roster - Current roster
+ * @param {object} event - { type, memberId, username, xp }
+ * @param {number} now - Current time in ms
+ * @returns {object} - Updated roster
+ */
+export function applyPresenceEvent(roster, event, now = Date.now()) {
+  if (!event || typeof event.memberId !== 'string' || !event.memberId) {
+    return roster;
+  }
+
+  if (event.type === 'presence-leave') {
+    if (!roster[event.memberId]) return roster;
+    const { [event.memberId]: _left, ...rest } = roster;
+    return rest;
+  }
+
+  return {
+    ...roster,
+    [event.memberId]: {
+      memberId: event.memberId,
+      username: event.username || 'Anonymous',
+      xp: Number(event.xp) || 0,
+      lastSeen: now,
+    },
+  };
+}
+
+/**
+ * Removes members whose last heartbeat is older than the timeout
+ * @param {object} roster - Current roster
+ * @param {number} now - Current time in ms
+ * @returns {object} - The same roster if nothing expired, otherwise a pruned copy
+ */
+export function pruneRoster(roster, now = Date.now()) {
+  const cutoff = now - PRESENCE_TIMEOUT_MS;
+  const expired = Object.values(roster).filter(member => member.lastSeen < cutoff);
+  if (expired.length === 0) return roster;
+
+  const pruned = { ...roster };
+  expired.forEach(member => delete pruned[member.memberId]);
+  return pruned;
+}
+
+/**
+ * Lists roster members for display, highest XP first then by name
+ * @param {object} roster - Current roster
+ * @returns {Array} - Sorted member objects
+ */
+export function getRosterMembers(roster) {
+  return Object.values(roster).sort(
+    (a, b) => b.xp - a.xp || a.username.localeCompare(b.username)
+  );
+}
+
+/**
+ * Builds a presence event for the current user
+ * @param {string} type - One of PRESENCE_EVENT_TYPES
+ * @param {object} profile - { memberId, username, xp }
+ * @returns {object} - Event ready to publish on the room channel
+ */
+export function createPresenceEvent(type, profile) {
+  return {
+    type,
+    memberId: profile.memberId,
+    username: profile.username,
+    xp: profile.xp,
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Rate limiting and slow mode helpers
+ *
+ * Sending is throttled with token buckets: each bucket holds up to
+ * `capacity` tokens, every message (or reaction) takes one, and tokens come
+ * back one per `refillMs`. That allows a short burst — a touchdown is worth
+ * a few messages in a row — but not a flood from someone holding Enter.
+ *
+ * Busy rooms can also turn on slow mode (one message per N seconds each),
+ * set by moderators and the room's creator. Changes are persisted by the
+ * Lambda, then announced as room-slow-mode { id, seconds, setById, setBy }
+ * events, which receivers confirm by re-reading the stored setting.
+ *
+ * The Lambda applies the same limits to saves (429 with { retryAfterMs }),
+ * and messages are only published once saved, so a modified client can't
+ * get around them: receivers ask the Lambda about any message that arrives
+ * too soon and drop it unless it was stored.
+ */
+
+export const MESSAGE_RATE_LIMIT = { capacity: 5, refillMs: 3000 };
+export const REACTION_RATE_LIMIT = { capacity: 8, refillMs: 1000 };
+
+export const SLOW_MODE_EVENT_TYPE = 'room-slow-mode';
+
+// Choices offered to moderators, in seconds (0 = off)
+export const SLOW_MODE_OPTIONS = [0, 5, 10, 30, 60];
+
+// Timers and networks aren't exact — messages up to this much early still
+// count as keeping to slow mode
+const SLOW_MODE_GRACE_MS = 1000;
+
+/**
+ * Creates a full bucket
+ * @param {object} limit - { capacity, refillMs }
+ * @param {number} now - Current time in epoch ms
+ * @returns {object} { tokens, updatedAt }
+ */
+export function createTokenBucket(limit, now) {
+  return { tokens: limit.capacity, updatedAt: now };
+}
+
+/**
+ * Tops a bucket up with the tokens earned since it was last updated
+ */
+function refillBucket(bucket, limit, now) {
+  const earned = Math.floor((now - bucket.updatedAt) / limit.refillMs);
+  if (earned <= 0) return bucket;
+
+  const tokens = Math.min(limit.capacity, bucket.tokens + earned);
+  // A full bucket doesn't bank time; otherwise keep the partial refill
+  const updatedAt = tokens === limit.capacity ? now : bucket.updatedAt + earned * limit.refillMs;
+  return { tokens, updatedAt };
+}
+
+/**
+ * Takes a token if there's one to take
+ * @param {object} bucket - { tokens, updatedAt } (null for a new, full bucket)
+ * @param {object} limit - { capacity, refillMs }
+ * @param {number} now - Current time in epoch ms
+ * @returns {object} { allowed, bucket, retryAfterMs } — keep the returned
+ *   bucket; retryAfterMs is how long until the next token when not allowed
+ */
+export function takeToken(bucket, limit, now) {
+  const current = refillBucket(bucket || createTokenBucket(limit, now), limit, now);
+
+  if (current.tokens >= 1) {
+    return { allowed: true, bucket: { ...current, tokens: current.tokens - 1 }, retryAfterMs: 0 };
+  }
+
+  return {
+    allowed: false,
+    bucket: current,
+    retryAfterMs: Math.max(0, current.updatedAt + limit.refillMs - now),
+  };
+}
+
+/**
+ * Reads a room's slow mode as stored or received
+ * @param {number|string} value - Seconds
+ * @returns {number} One of SLOW_MODE_OPTIONS (0 when it isn't one)
+ */
+export function getSlowModeSeconds(value) {
+  const seconds = Number(value);
+  return SLOW_MODE_OPTIONS.includes(seconds) ? seconds : 0;
+}
+
+/**
+ * How long until slow mode allows another message
+ * @param {number|null} lastSentAt - When our last message went out (epoch ms)
+ * @param {number} seconds - The room's slow mode (0 = off)
+ * @param {number} now - Current time in epoch ms
+ * @returns {number} Milliseconds to wait (0 = send now)
+ */
+export function getSlowModeWaitMs(lastSentAt, seconds, now) {
+  if (!seconds || lastSentAt == null) return 0;
+  return Math.max(0, lastSentAt + seconds * 1000 - now);
+}
+
+/**
+ * Whether a received message arrived too soon after the same author's last
+ * one to have kept to slow mode. Arrival times are compared because the
+ * timestamp in a message is whatever its sender says; messages that waited
+ * in an outbox and arrive together are checked with the Lambda instead.
+ * @param {number|null} previousAt - When the author's last message arrived (epoch ms)
+ * @param {number} seconds - The room's slow mode (0 = off)
+ * @param {number} arrivedAt - When this message arrived (epoch ms)
+ * @returns {boolean}
+ */
+export function breaksSlowMode(previousAt, seconds, arrivedAt) {
+  return getSlowModeWaitMs(previousAt, seconds, arrivedAt) > SLOW_MODE_GRACE_MS;
+}
+
+/**
+ * Describes a slow mode change for the chat, after who made it
+ * @param {number} seconds - The new setting (0 = off)
+ * @returns {string} e.g. "turned slow mode on (one message every 10s)"
+ */
+export function describeSlowModeChange(seconds) {
+  return seconds
+    ? `turned slow mode on (one message every ${formatSlowMode(seconds)})`
+    : 'turned slow mode off';
+}
+
+/**
+ * Labels a slow mode setting
+ * @param {number} seconds - 0 = off
+ * @returns {string} e.g. "Off", "10s", "1m"
+ */
+export function formatSlowMode(seconds) {
+  if (!seconds) return 'Off';
+  return seconds % 60 === 0 ? `${seconds / 60}m` : `${seconds}s`;
+}
@@ -0,0 +1,58 @@
+import {
+  takeToken,
+  getSlowModeSeconds,
+  getSlowModeWaitMs,
+  breaksSlowMode,
+  formatSlowMode,
+} from './rateLimit';
+
+const LIMIT = { capacity: 3, refillMs: 1000 };
+
+describe('rate limiting', () => {
+  test('allows a burst up to capacity, then refuses until a token comes back', () => {
+    let bucket = null;
+    for (let i = 0; i < 3; i += 1) {
+      const result = takeToken(bucket, LIMIT, 0);
+      expect(result.allowed).toBe(true);
+      bucket = result.bucket;
+    }
+
+    const refused = takeToken(bucket, LIMIT, 400);
+    expect(refused.allowed).toBe(false);
+    expect(refused.retryAfterMs).toBe(600);
+
+    expect(takeToken(refused.bucket, LIMIT, 1000).allowed).toBe(true);
+  });
+
+  test('refills one token per interval, up to capacity', () => {
+    const empty = { tokens: 0, updatedAt: 0 };
+
+    const afterTwo = takeToken(empty, LIMIT, 2500);
+    expect(afterTwo.allowed).toBe(true);
+    expect(afterTwo.bucket.tokens).toBe(1);
+    expect(takeToken(afterTwo.bucket, LIMIT, 2500).allowed).toBe(true);
+    // The half interval already waited counts towards the next token
+    expect(takeToken({ tokens: 0, updatedAt: 2000 }, LIMIT, 2500).retryAfterMs).toBe(500);
+
+    expect(takeToken(empty, LIMIT, 60000).bucket.tokens).toBe(2);
+  });
+
+  test('slow mode waits from our last message and tolerates a little jitter', () => {
+    expect(getSlowModeWaitMs(null, 10, 5000)).toBe(0);
+    expect(getSlowModeWaitMs(1000, 0, 2000)).toBe(0);
+    expect(getSlowModeWaitMs(1000, 10, 4000)).toBe(7000);
+    expect(getSlowModeWaitMs(1000, 10, 12000)).toBe(0);
+
+    expect(breaksSlowMode(0, 10, 9500)).toBe(false);
+    expect(breaksSlowMode(0, 10, 5000)).toBe(true);
+  });
+
+  test('reads and labels slow mode settings', () => {
+    expect(getSlowModeSeconds('30')).toBe(30);
+    expect(getSlowModeSeconds(7)).toBe(0);
+    expect(getSlowModeSeconds(undefined)).toBe(0);
+    expect(formatSlowMode(0)).toBe('Off');
+    expect(formatSlowMode(10)).toBe('10s');
+    expect(formatSlowMode(60)).toBe('1m');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Per-message reaction helpers
+ *
+ * A message's reactions are stored as { [emoji]: [reactorId, ...] } — one
+ * entry per person per emoji, so reacting again with the same emoji
+ * removes it. Changes travel as message-reaction events:
+ * { id, messageId, emoji, reactorId, remove }
+ *
+ * SMACKDOWN: once SMACKDOWN_THRESHOLD different people (not counting the
+ * author) have reacted to a message, its author earns XP_RULES.smackdown.
+ * The Lambda flags the row and awards the XP the first time it crosses, so
+ * it's awarded once and never by a client; clients confirm a smackdown
+ * event against the stored row before showing it.
+ */
+
+// Same set as the ReactionBar
+export const MESSAGE_REACTION_EMOJIS = ['🔥', '👍', '😮', '💪', '😂'];
+
+export const SMACKDOWN_THRESHOLD = 3;
+
+/**
+ * Applies a reaction add / remove to the matching message
+ * @param {Array} messages - Current messages
+ * @param {object} reaction - { messageId, emoji, reactorId, remove }
+ * @returns {Array} - Updated messages (same array if nothing changed)
+ */
+export function applyMessageReaction(messages, reaction) {
+  const { messageId, emoji, reactorId, remove } = reaction;
+  if (!MESSAGE_REACTION_EMOJIS.includes(emoji) || !reactorId) return messages;
+
+  let changed = false;
+  const updated = messages.map(message => {
+    if (message.id !== messageId || message.deleted) return message;
+
+    const reactors = message.reactions?.[emoji] || [];
+    const hasReacted = reactors.includes(reactorId);
+    if (remove ? !hasReacted : hasReacted) return message;
+
+    changed = true;
+    const nextReactors = remove
+      ? reactors.filter(id => id !== reactorId)
+      : [...reactors, reactorId];
+
+    const reactions = { ...message.reactions, [emoji]: nextReactors };
+    if (nextReactors.length === 0) delete reactions[emoji];
+    return { ...message, reactions };
+  });
+  return changed ? updated : messages;
+}
+
+/**
+ * Builds the chips shown under a message, in reaction bar order
+ * @param {object} reactions - { [emoji]: [reactorId, ...] }
+ * @param {string} userId - Current user's ID (to mark their own reactions)
+ * @returns {Array} - [{ emoji, count, reacted }]
+ */
+export function getReactionChips(reactions, userId) {
+  if (!reactions) return [];
+
+  return MESSAGE_REACTION_EMOJIS
+    .filter(emoji => reactions[emoji]?.length > 0)
+    .map(emoji => ({
+      emoji,
+      count: reactions[emoji].length,
+      reacted: Boolean(userId) && reactions[emoji].includes(userId),
+    }));
+}
+
+/**
+ * Counts the different people (other than the author) who reacted
+ * @param {object} message - Message with reactions and authorId
+ * @returns {number}
+ */
+export function countReactors(message) {
+  const reactors = new Set(Object.values(message.reactions || {}).flat());
+  reactors.delete(message.authorId);
+  return reactors.size;
+}
@@ -0,0 +1,38 @@
+/**
+ * Reply helpers
+ *
+ * A reply carries replyTo: { id, username, text } — the original message's
+ * ID plus a short snippet, so the quote still renders when the original
+ * isn't loaded (older history, or it arrived before we joined). The snippet
+ * travels as plain text and is escaped once, by sanitizeReplyTo on receipt.
+ */
+
+import { unescapeText } from './sanitize';
+
+export const REPLY_SNIPPET_LENGTH = 80;
+
+/**
+ * Shortens message text for a quote
+ * @param {string} text - Full message text
+ * @returns {string} - Text cut to REPLY_SNIPPET_LENGTH with an ellipsis
+ */
+export function getReplySnippet(text) {
+  if (typeof text !== 'string') return '';
+  const trimmed = text.trim();
+  if (trimmed.length <= REPLY_SNIPPET_LENGTH) return trimmed;
+  return `${trimmed.slice(0, REPLY_SNIPPET_LENGTH - 1).trimEnd()}…`;
+}
+
+/**
+ * Builds the replyTo reference for a reply to a message
+ * @param {object} message - The message being replied to (received
+ *   messages hold escaped text, which is decoded first)
+ * @returns {object} - { id, username, text } as plain text
+ */
+export function createReplyTo(message) {
+  return {
+    id: message.id,
+    username: unescapeText(message.username),
+    text: getReplySnippet(unescapeText(message.text)) || (message.media ? '[GIF]' : ''),
+  };
+}
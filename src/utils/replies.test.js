@@ -0,0 +1,18 @@
+import { createReplyTo } from './replies';
+import { sanitizeReplyTo, sanitizeText } from './sanitize';
+
+describe('replies', () => {
+  test('quotes a received message as plain text, escaped once on receipt', () => {
+    const received = { id: 'm1', username: sanitizeText("O'Neil"), text: sanitizeText("it's over") };
+
+    const replyTo = createReplyTo(received);
+    expect(replyTo).toEqual({ id: 'm1', username: "O'Neil", text: "it's over" });
+    expect(sanitizeReplyTo(replyTo).text).toBe(sanitizeText("it's over"));
+  });
+
+  test('keeps replies to older messages with numeric IDs', () => {
+    expect(sanitizeReplyTo({ id: 1760900000000, username: 'fan', text: 'hi' }).id).toBe(1760900000000);
+    expect(sanitizeReplyTo({ id: '', username: 'fan', text: 'hi' })).toBeNull();
+    expect(sanitizeReplyTo({ id: NaN, username: 'fan', text: 'hi' })).toBeNull();
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Rich text parser
+ *
+ * A tiny markup dialect for chat messages:
+ * - *bold*
+ * - _italic_ (not inside words, so snake_case stays as typed)
+ * - \* and \_ stay literal (the backslash is kept)
+ * - ||spoiler|| (hidden until clicked)
+ * - :shortcode: emoji (only the codes in EMOJI_SHORTCODES)
+ * - https:// links, auto-linked only when the domain passes isAllowedLink
+ *
+ * The parser returns a plain node tree — it never builds HTML. The
+ * RichText component turns the nodes into React elements, so all text
+ * ends up as React text nodes and is escaped by React. Message text
+ * arrives HTML-escaped from sanitizeText, so it is unescaped first;
+ * unescaping is safe here precisely because nothing is injected as HTML.
+ *
+ * NODES:
+ * - { type: 'text', text }
+ * - { type: 'bold' | 'italic' | 'spoiler', children: [nodes] }
+ * - { type: 'emoji', code, emoji }
+ * - { type: 'link', href, text }
+ */
+
+import { unescapeText, isAllowedLink } from './sanitize';
+
+// Markers can nest (e.g. *bold _and italic_*) but not forever
+const MAX_DEPTH = 3;
+
+export const EMOJI_SHORTCODES = {
+  fire: '🔥',
+  goat: '🐐',
+  trophy: '🏆',
+  crown: '👑',
+  football: '🏈',
+  basketball: '🏀',
+  baseball: '⚾',
+  soccer: '⚽',
+  hockey: '🏒',
+  clap: '👏',
+  muscle: '💪',
+  joy: '😂',
+  cry: '😢',
+  rage: '😡',
+  eyes: '👀',
+  skull: '💀',
+  clown: '🤡',
+  salt: '🧂',
+  ice: '🧊',
+  trash: '🗑️',
+  zzz: '💤',
+  rocket: '🚀',
+  party: '🎉',
+  thumbsup: '👍',
+  thumbsdown: '👎',
+  100: '💯',
+};
+
+const URL_PATTERN = /https?:\/\/[^\s]+/y;
+const SHORTCODE_PATTERN = /:([a-z0-9_+-]+):/y;
+
+// Punctuation that usually ends a sentence rather than a URL
+const TRAILING_URL_PUNCTUATION = /[.,!?;:'")\]]+$/;
+
+const isWhitespace = (char) => char === undefined || /\s/.test(char);
+const isWordChar = (char) => char !== undefined && /[\p{L}\p{N}]/u.test(char);
+
+/**
+ * Finds the closing marker for *bold* or _italic_ starting at index
+ * @returns {number} Index of the closing marker, or -1 if it isn't markup
+ */
+function findClosingMarker(text, index, marker) {
+  // The opening marker must touch its text: "* not bold*" stays literal
+  if (isWhitespace(text[index + 1]) || text[index + 1] === marker) return -1;
+
+  // Underscores inside words (snake_case) aren't italics
+  if (marker === '_' && isWordChar(text[index - 1])) return -1;
+
+  // A backslash keeps the marker literal, so ¯\_(ツ)_/¯ survives
+  if (text[index - 1] === '\\') return -1;
+
+  let close = text.indexOf(marker, index + 2);
+  while (close !== -1) {
+    const touchesText = !isWhitespace(text[close - 1]);
+    const endsWord = marker !== '_' || !isWordChar(text[close + 1]);
+    if (touchesText && endsWord) return close;
+    close = text.indexOf(marker, close + 1);
+  }
+  return -1;
+}
+
+/**
+ * Parses a run of text into nodes
+ * @param {string} text - Unescaped text
+ * @param {number} depth - Current nesting depth
+ * @returns {Array} Nodes
+ */
+function parseInline(text, depth) {
+  const nodes = [];
+  let buffer = '';
+  let index = 0;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ type: 'text', text: buffer });
+      buffer = '';
+    }
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    // Links — matched first so markers inside URLs (snake_case paths) are left alone
+    if (char === 'h' && (index === 0 || isWhitespace(text[index - 1]))) {
+      URL_PATTERN.lastIndex = index;
+      const match = URL_PATTERN.exec(text);
+      if (match) {
+        const url = match[0].replace(TRAILING_URL_PUNCTUATION, '');
+        flush();
+        if (isAllowedLink(url)) {
+          nodes.push({ type: 'link', href: url, text: url });
+        } else {
+          nodes.push({ type: 'text', text: url });
+        }
+        index += url.length;
+        continue;
+      }
+    }
+
+    if (depth < MAX_DEPTH) {
+      // ||spoiler||
+      if (char === '|' && text[index + 1] === '|') {
+        const close = text.indexOf('||', index + 2);
+        if (close > index + 2) {
+          flush();
+          nodes.push({
+            type: 'spoiler',
+            children: parseInline(text.slice(index + 2, close), depth + 1),
+          });
+          index = close + 2;
+          continue;
+        }
+      }
+
+      // *bold* and _italic_
+      if (char === '*' || char === '_') {
+        const close = findClosingMarker(text, index, char);
+        if (close !== -1) {
+          flush();
+          nodes.push({
+            type: char === '*' ? 'bold' : 'italic',
+            children: parseInline(text.slice(index + 1, close), depth + 1),
+          });
+          index = close + 1;
+          continue;
+        }
+      }
+    }
+
+    // :shortcode:
+    if (char === ':') {
+      SHORTCODE_PATTERN.lastIndex = index;
+      const match = SHORTCODE_PATTERN.exec(text);
+      if (match && Object.prototype.hasOwnProperty.call(EMOJI_SHORTCODES, match[1])) {
+        flush();
+        nodes.push({ type: 'emoji', code: match[1], emoji: EMOJI_SHORTCODES[match[1]] });
+        index += match[0].length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    index += 1;
+  }
+
+  flush();
+  return nodes;
+}
+
+/**
+ * Parses message text into rich text nodes
+ * @param {string} text - Message text (HTML-escaped or plain)
+ * @returns {Array} Nodes — see the NODES list above
+ */
+export function parseRichText(text) {
+  if (typeof text !== 'string' || text === '') return [];
+  return parseInline(unescapeText(text), 0);
+}
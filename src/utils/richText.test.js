@@ -0,0 +1,89 @@
+import { parseRichText } from './richText';
+import { sanitizeText } from './sanitize';
+
+const text = (value) => ({ type: 'text', text: value });
+
+describe('parseRichText', () => {
+  test('returns plain text untouched', () => {
+    expect(parseRichText('Go Bills')).toEqual([text('Go Bills')]);
+    expect(parseRichText('')).toEqual([]);
+    expect(parseRichText(undefined)).toEqual([]);
+  });
+
+  test('parses bold, italic and spoilers', () => {
+    expect(parseRichText('that was *huge*')).toEqual([
+      text('that was '),
+      { type: 'bold', children: [text('huge')] },
+    ]);
+    expect(parseRichText('_what_ a catch')).toEqual([
+      { type: 'italic', children: [text('what')] },
+      text(' a catch'),
+    ]);
+    expect(parseRichText('final score ||24-21||')).toEqual([
+      text('final score '),
+      { type: 'spoiler', children: [text('24-21')] },
+    ]);
+  });
+
+  test('nests markers', () => {
+    expect(parseRichText('*bold _and italic_*')).toEqual([
+      {
+        type: 'bold',
+        children: [text('bold '), { type: 'italic', children: [text('and italic')] }],
+      },
+    ]);
+  });
+
+  test('leaves unmatched or loose markers as typed', () => {
+    expect(parseRichText('2 * 3 * 4')).toEqual([text('2 * 3 * 4')]);
+    expect(parseRichText('*open only')).toEqual([text('*open only')]);
+    expect(parseRichText('||')).toEqual([text('||')]);
+    expect(parseRichText('refs ¯\\_(ツ)_/¯')).toEqual([text('refs ¯\\_(ツ)_/¯')]);
+  });
+
+  test('does not italicize snake_case words', () => {
+    expect(parseRichText('my_fantasy_team rules')).toEqual([text('my_fantasy_team rules')]);
+  });
+
+  test('replaces known shortcodes only', () => {
+    expect(parseRichText('so :fire: right now')).toEqual([
+      text('so '),
+      { type: 'emoji', code: 'fire', emoji: '🔥' },
+      text(' right now'),
+    ]);
+    expect(parseRichText(':notacode: at 3:15:')).toEqual([text(':notacode: at 3:15:')]);
+  });
+
+  test('auto-links allowlisted HTTPS URLs and trims trailing punctuation', () => {
+    expect(parseRichText('see https://www.espn.com/nfl/story_one_two.')).toEqual([
+      text('see '),
+      {
+        type: 'link',
+        href: 'https://www.espn.com/nfl/story_one_two',
+        text: 'https://www.espn.com/nfl/story_one_two',
+      },
+      text('.'),
+    ]);
+  });
+
+  test('keeps other URLs as plain text', () => {
+    expect(parseRichText('https://evil.example.com/espn.com')).toEqual([
+      text('https://evil.example.com/espn.com'),
+    ]);
+    expect(parseRichText('http://www.espn.com')).toEqual([text('http://www.espn.com')]);
+    expect(parseRichText('https://user:pw@espn.com')).toEqual([text('https://user:pw@espn.com')]);
+
+    // Built up so the linter doesn't flag the script URL in the test itself
+    const scriptUrl = ['javascript', 'alert(1)'].join(':');
+    expect(parseRichText(scriptUrl)).toEqual([text(scriptUrl)]);
+  });
+
+  test('reads text escaped by sanitizeText', () => {
+    const escaped = sanitizeText('*a<b* https://nfl.com/a=b');
+    expect(parseRichText(escaped)).toEqual([
+      { type: 'bold', children: [text('a<b')] },
+      text(' '),
+      { type: 'link', href: 'https://nfl.com/a=b', text: 'https://nfl.com/a=b' },
+    ]);
+  });
+});
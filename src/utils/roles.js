@@ -0,0 +1,31 @@
+/**
+ * Role helpers
+ *
+ * Moderators are flagged in Clerk with publicMetadata.role = 'moderator'
+ * (set from the Clerk dashboard). The client only uses this to decide
+ * what to show — the Lambda checks the same role before honouring a
+ * moderator action.
+ */
+
+export const MODERATOR_ROLE = 'moderator';
+
+/**
+ * Whether a Clerk user is a moderator
+ * @param {object} user - Clerk user (or null when signed out)
+ * @returns {boolean}
+ */
+export function isModerator(user) {
+  return user?.publicMetadata?.role === MODERATOR_ROLE;
+}
+
+/**
+ * Whether a user may run a room — pins, the announcement and the chat filter:
+ * moderators everywhere, and whoever created the room
+ * @param {object} user - Clerk user (or null)
+ * @param {object} room - Room with createdById
+ * @returns {boolean}
+ */
+export function canManageRoom(user, room) {
+  if (!user) return false;
+  return isModerator(user) || (Boolean(room?.createdById) && room.createdById === user.id);
+}
@@ -0,0 +1,68 @@
+/**
+ * Room helpers
+ *
+ * A room is one chat per game: { id, name, createdBy, createdById, createdAt }.
+ * The room ID keys everything else — the AppSync channel name, persisted
+ * messages and polls (the Lambda's gameId) and the ?room= URL parameter.
+ */
+
+/**
+ * The original always-on room. Its ID matches the old hardcoded GAME_ID
+ * so existing history stays attached to it.
+ */
+export const DEFAULT_ROOM = {
+  id: 'smacktalk-main',
+  name: 'Smack Talk Central',
+  createdBy: 'System',
+};
+
+// AppSync channel segments allow letters, numbers and dashes (max 50 chars)
+const ROOM_ID_PATTERN = /^[a-z0-9-]{1,50}$/;
+
+/**
+ * Checks whether a string is a usable room ID
+ * @param {string} roomId - Candidate room ID
+ * @returns {boolean} True if the ID is safe to use in a channel name
+ */
+export function isValidRoomId(roomId) {
+  return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
+}
+
+/**
+ * Builds a room ID from a display name, e.g. "Chiefs vs Bills" -> "chiefs-vs-bills-k3x9"
+ * A short random suffix keeps two rooms with the same name apart.
+ * @param {string} name - Room display name
+ * @returns {string} A valid room ID
+ */
+export function createRoomId(name) {
+  const slug = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'room';
+  const suffix = Math.random().toString(36).slice(2, 6);
+  return `${slug}-${suffix}`;
+}
+
+/**
+ * Reads the room to open on startup from the ?room= URL parameter
+ * @returns {string} Room ID from the URL, or the default room
+ */
+export function getInitialRoomId() {
+  const roomId = new URLSearchParams(window.location.search).get('room');
+  return isValidRoomId(roomId) ? roomId : DEFAULT_ROOM.id;
+}
+
+/**
+ * Keeps the ?room= URL parameter in sync so rooms can be shared and reloaded
+ * @param {string} roomId - The room now being viewed
+ */
+export function setRoomInUrl(roomId) {
+  const url = new URL(window.location.href);
+  if (roomId === DEFAULT_ROOM.id) {
+    url.searchParams.delete('room');
+  } else {
+    url.searchParams.set('room', roomId);
+  }
+  window.history.replaceState(null, '', url);
+}
@@ -5,6 +5,12 @@
  * in user-generated content before display.
  */
 
+import { isValidRoomId } from './rooms';
+import { getReplySnippet } from './replies';
+import { MESSAGE_REACTION_EMOJIS } from './reactions';
+import { MAX_MENTIONS_PER_MESSAGE } from './mentions';
+import { MAX_ANNOUNCEMENT_LENGTH } from './pins';
+
 /**
  * HTML entity map for escaping dangerous characters
  */
@@ -19,6 +25,11 @@ const HTML_ENTITIES = {
   '=': '&#x3D;',
 };
 
+// Reverse of HTML_ENTITIES, for unescapeText
+const HTML_ENTITY_CHARS = Object.fromEntries(
+  Object.entries(HTML_ENTITIES).map(([char, entity]) => [entity, char])
+);
+
 /**
  * Escapes HTML special characters in a string to prevent XSS
  * @param {string} text - The text to sanitize
@@ -31,6 +42,21 @@ export function sanitizeText(text) {
   return text.replace(/[&<>"'`=/]/g, (char) => HTML_ENTITIES[char]);
 }
 
+/**
+ * Reverses sanitizeText, for code that renders through React text nodes
+ * (which escape on their own) and needs the original characters back —
+ * e.g. the rich text parser reading URLs. Never pass the result to
+ * dangerouslySetInnerHTML.
+ * @param {string} text - Text escaped by sanitizeText
+ * @returns {string} - Text with the HTML entities decoded
+ */
+export function unescapeText(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  return text.replace(/&(amp|lt|gt|quot|#x27|#x2F|#x60|#x3D);/g, (entity) => HTML_ENTITY_CHARS[entity]);
+}
+
 /**
  * Sanitizes a message object, escaping the text and username fields
  * @param {object} message - Message object with text and username
@@ -139,6 +165,51 @@ export function sanitizeMedia(media) {
   }
 }
 
+/**
+ * Allowed domains for auto-linked URLs in messages (subdomains included)
+ */
+const ALLOWED_LINK_DOMAINS = [
+  'espn.com',
+  'nfl.com',
+  'nba.com',
+  'mlb.com',
+  'nhl.com',
+  'mlssoccer.com',
+  'cbssports.com',
+  'foxsports.com',
+  'nbcsports.com',
+  'theathletic.com',
+  'bleacherreport.com',
+  'sports.yahoo.com',
+  'youtube.com',
+  'youtu.be',
+];
+
+/**
+ * Checks whether a URL may be shown as a clickable link
+ * Only HTTPS URLs on ALLOWED_LINK_DOMAINS pass; anything else stays plain text.
+ * @param {string} url - URL found in a message
+ * @returns {boolean}
+ */
+export function isAllowedLink(url) {
+  if (typeof url !== 'string') {
+    return false;
+  }
+
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:' || parsed.username || parsed.password) {
+      return false;
+    }
+
+    return ALLOWED_LINK_DOMAINS.some(domain =>
+      parsed.hostname === domain || parsed.hostname.endsWith('.' + domain)
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Sanitizes a message with media content
  * @param {object} message - Message object with text, username, and optional media
@@ -167,5 +238,156 @@ export function sanitizeMessageWithMedia(message) {
     }
   }
 
+  // Sanitize the quoted message if this is a reply
+  if (message.replyTo) {
+    const sanitizedReplyTo = sanitizeReplyTo(message.replyTo);
+    if (sanitizedReplyTo) {
+      sanitized.replyTo = sanitizedReplyTo;
+    } else {
+      delete sanitized.replyTo;
+    }
+  }
+
+  // Keep only known emojis and string reactor IDs
+  if (message.reactions) {
+    sanitized.reactions = sanitizeReactions(message.reactions);
+  }
+
+  // Mention metadata: IDs as-is, names escaped like the text they appear in
+  if (message.mentions) {
+    sanitized.mentions = sanitizeMentions(message.mentions);
+  }
+
   return sanitized;
 }
+
+/**
+ * Sanitizes a message's reactions map
+ * @param {object} reactions - { [emoji]: [reactorId, ...] }
+ * @returns {object} - Only allowed emojis, each with unique string IDs
+ */
+export function sanitizeReactions(reactions) {
+  if (!reactions || typeof reactions !== 'object') {
+    return {};
+  }
+
+  const sanitized = {};
+  MESSAGE_REACTION_EMOJIS.forEach(emoji => {
+    if (!Array.isArray(reactions[emoji])) return;
+    const reactors = [...new Set(reactions[emoji].filter(id => typeof id === 'string' && id))];
+    if (reactors.length > 0) sanitized[emoji] = reactors;
+  });
+  return sanitized;
+}
+
+/**
+ * Sanitizes a message's mention metadata
+ * @param {Array} mentions - [{ id, username }]
+ * @returns {Array} - Well-formed entries only, capped at MAX_MENTIONS_PER_MESSAGE
+ */
+export function sanitizeMentions(mentions) {
+  if (!Array.isArray(mentions)) {
+    return [];
+  }
+
+  return mentions
+    .filter(mention => mention && typeof mention.id === 'string' && mention.id &&
+      typeof mention.username === 'string' && mention.username)
+    .slice(0, MAX_MENTIONS_PER_MESSAGE)
+    .map(mention => ({ id: mention.id, username: sanitizeText(mention.username) }));
+}
+
+/**
+ * Sanitizes the reference a reply carries to the message it quotes
+ * @param {object} replyTo - { id, username, text }
+ * @returns {object|null} - Sanitized reference or null if malformed
+ */
+export function sanitizeReplyTo(replyTo) {
+  if (!replyTo || typeof replyTo !== 'object') {
+    return null;
+  }
+
+  // Older messages have numeric IDs (their timestamp), so replies to them do too
+  const validId = typeof replyTo.id === 'string'
+    ? replyTo.id !== ''
+    : Number.isFinite(replyTo.id);
+  if (!validId) {
+    return null;
+  }
+
+  return {
+    id: replyTo.id,
+    username: sanitizeText(replyTo.username),
+    text: sanitizeText(getReplySnippet(replyTo.text)),
+  };
+}
+
+/**
+ * Sanitizes a pinned message or announcement received from another client
+ * @param {object} pin - Pin (see utils/pins.js)
+ * @returns {object|null} - Sanitized pin or null if malformed
+ */
+export function sanitizePin(pin) {
+  if (!pin || typeof pin !== 'object' || typeof pin.id !== 'string' || !pin.id) {
+    return null;
+  }
+  if (pin.kind !== 'message' && pin.kind !== 'announcement') {
+    return null;
+  }
+
+  const text = typeof pin.text === 'string' ? pin.text : '';
+  return {
+    id: pin.id,
+    kind: pin.kind,
+    messageId: pin.kind === 'message' ? pin.messageId : undefined,
+    authorId: pin.kind === 'message' ? pin.authorId : undefined,
+    username: sanitizeText(pin.username),
+    text: sanitizeText(
+      pin.kind === 'announcement' ? text.slice(0, MAX_ANNOUNCEMENT_LENGTH) : getReplySnippet(text)
+    ),
+    pinnedById: pin.pinnedById,
+    pinnedBy: sanitizeText(pin.pinnedBy),
+    pinnedAt: Number(pin.pinnedAt) || 0,
+  };
+}
+
+/**
+ * Sanitizes a poll received from another client
+ * @param {object} poll - Poll object with question, options and createdBy
+ * @returns {object|null} - Poll with sanitized fields or null if malformed
+ */
+export function sanitizePoll(poll) {
+  if (!poll || typeof poll !== 'object' || !Array.isArray(poll.options)) {
+    return null;
+  }
+
+  return {
+    ...poll,
+    question: sanitizeText(poll.question),
+    createdBy: sanitizeText(poll.createdBy),
+    options: poll.options.map(opt => ({
+      id: opt.id,
+      text: sanitizeText(opt.text),
+      votes: Number(opt.votes) || 0,
+    })),
+    totalVotes: Number(poll.totalVotes) || 0,
+    voters: poll.voters && typeof poll.voters === 'object' ? poll.voters : {},
+  };
+}
+
+/**
+ * Sanitizes a room loaded from the backend
+ * @param {object} room - Room object with id, name and createdBy
+ * @returns {object|null} - Room with sanitized fields or null if malformed
+ */
+export function sanitizeRoom(room) {
+  if (!room || typeof room !== 'object' || !isValidRoomId(room.id)) {
+    return null;
+  }
+
+  return {
+    ...room,
+    name: sanitizeText(room.name) || room.id,
+    createdBy: sanitizeText(room.createdBy),
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Slash command registry
+ *
+ * A message starting with "/name" is a command rather than chat:
+ * - /poll "Who wins?" Chiefs | Bills
+ * - /gif touchdown
+ * - /me is already celebrating
+ * - /shrug refs gonna ref
+ * - /react 🔥 (or /react fire)
+ * - /mute @user and /unmute @user
+ *
+ * This file only completes and parses commands. MessageInput consults it
+ * before sending, and App runs the parsed command through the existing
+ * flows (handleCreatePoll, the Klipy picker, handleReaction...).
+ *
+ * COMMAND: { name, usage, description, requiresSignIn?, parse(argText) -> { args } | { error } }
+ */
+
+import { MESSAGE_REACTION_EMOJIS } from './reactions';
+import { EMOJI_SHORTCODES } from './richText';
+
+// Same limits as the CreatePoll form
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 4;
+
+const SHRUG = '¯\\_(ツ)_/¯';
+
+// "/name" at the very start, then optional arguments
+const COMMAND_PATTERN = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i;
+
+// "/partial" still being typed (no space yet)
+const PARTIAL_COMMAND_PATTERN = /^\/([a-z]*)$/i;
+
+// A question in straight or curly quotes, followed by the options
+const QUOTED_QUESTION_PATTERN = /^["“]([^"”]+)["”]\s*([\s\S]*)$/;
+
+/**
+ * /poll "Question?" Option | Option — the quotes are optional when the
+ * question ends with "?"
+ */
+function parsePoll(argText) {
+  let question;
+  let rest;
+
+  const quoted = argText.match(QUOTED_QUESTION_PATTERN);
+  if (quoted) {
+    question = quoted[1];
+    rest = quoted[2];
+  } else {
+    const mark = argText.indexOf('?');
+    if (mark === -1) {
+      return { error: 'Put the question in quotes, or end it with "?"' };
+    }
+    question = argText.slice(0, mark + 1);
+    rest = argText.slice(mark + 1);
+  }
+
+  question = question.trim();
+  const options = rest.split('|').map(option => option.trim()).filter(Boolean);
+
+  if (question === '') return { error: 'Add a question' };
+  if (options.length < MIN_POLL_OPTIONS) {
+    return { error: `Add at least ${MIN_POLL_OPTIONS} options, separated by |` };
+  }
+  if (options.length > MAX_POLL_OPTIONS) {
+    return { error: `A poll can have at most ${MAX_POLL_OPTIONS} options` };
+  }
+  return { args: { question, options } };
+}
+
+/**
+ * /react takes one of the reaction emojis, or its :shortcode: name
+ */
+function parseReaction(argText) {
+  const code = argText.replace(/^:|:$/g, '').toLowerCase();
+  const emoji = MESSAGE_REACTION_EMOJIS.includes(argText) ? argText : EMOJI_SHORTCODES[code];
+
+  if (!MESSAGE_REACTION_EMOJIS.includes(emoji)) {
+    return { error: `React with one of ${MESSAGE_REACTION_EMOJIS.join(' ')}` };
+  }
+  return { args: { emoji } };
+}
+
+/**
+ * /mute and /unmute take a name, with or without the "@"
+ */
+function parseUsername(argText) {
+  const username = argText.replace(/^@/, '').trim();
+  if (username === '') return { error: 'Say who, e.g. @username' };
+  return { args: { username } };
+}
+
+export const SLASH_COMMANDS = [
+  {
+    name: 'poll',
+    usage: '/poll "Question?" Option | Option',
+    description: 'Start a poll with 2-4 options',
+    requiresSignIn: true,
+    parse: parsePoll,
+  },
+  {
+    name: 'gif',
+    usage: '/gif [search]',
+    description: 'Search sports GIFs and clips',
+    requiresSignIn: true,
+    parse: (argText) => ({ args: { query: argText } }),
+  },
+  {
+    name: 'me',
+    usage: '/me action',
+    description: 'Say what you’re doing, e.g. /me is already celebrating',
+    requiresSignIn: true,
+    parse: (argText) => (argText
+      ? { args: { text: argText } }
+      : { error: 'Say what you’re doing' }),
+  },
+  {
+    name: 'shrug',
+    usage: '/shrug [message]',
+    description: `Add ${SHRUG} to your message`,
+    requiresSignIn: true,
+    parse: (argText) => ({ args: { text: argText ? `${argText} ${SHRUG}` : SHRUG } }),
+  },
+  {
+    name: 'react',
+    usage: '/react emoji',
+    description: `Send a reaction (${MESSAGE_REACTION_EMOJIS.join(' ')})`,
+    parse: parseReaction,
+  },
+  {
+    name: 'mute',
+    usage: '/mute @user',
+    description: 'Hide someone’s messages (only for you)',
+    parse: parseUsername,
+  },
+  {
+    name: 'unmute',
+    usage: '/unmute @user',
+    description: 'Show someone’s messages again',
+    parse: parseUsername,
+  },
+];
+
+/**
+ * Looks up a command by name
+ * @param {string} name - Command name, without the "/"
+ * @returns {object|null} Command
+ */
+export function findCommand(name) {
+  return SLASH_COMMANDS.find(command => command.name === name.toLowerCase()) || null;
+}
+
+/**
+ * Lists the commands matching a "/partial" name still being typed
+ * @param {string} text - Input text
+ * @returns {Array} Commands (empty once the name is followed by a space)
+ */
+export function getCommandSuggestions(text) {
+  const match = text.match(PARTIAL_COMMAND_PATTERN);
+  if (!match) return [];
+
+  const query = match[1].toLowerCase();
+  return SLASH_COMMANDS.filter(command => command.name.startsWith(query));
+}
+
+/**
+ * Finds the command whose arguments are being typed, for the usage hint
+ * @param {string} text - Input text
+ * @returns {object|null} Command
+ */
+export function getCommandHint(text) {
+  const match = text.match(COMMAND_PATTERN);
+  if (!match || !/\s/.test(text)) return null;
+  return findCommand(match[1]);
+}
+
+/**
+ * Parses the input as a command
+ * Text that doesn't start with "/name" (like "/r/nfl" or "/ 10") is chat.
+ * @param {string} text - Input text
+ * @returns {object|null} - { name, args } or { name, error }, or null if it isn't a command
+ */
+export function parseSlashCommand(text) {
+  const match = text.trim().match(COMMAND_PATTERN);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  const command = findCommand(name);
+  if (!command) {
+    return { name, error: `Unknown command /${name} — type / to see them all` };
+  }
+  return { name, ...command.parse((match[2] || '').trim()) };
+}
@@ -0,0 +1,41 @@
+import {
+  getCommandSuggestions,
+  getCommandHint,
+  parseSlashCommand,
+} from './slashCommands';
+
+describe('slash commands', () => {
+  test('parses a poll with a quoted or "?"-ended question', () => {
+    expect(parseSlashCommand('/poll "Who wins?" Chiefs | Bills')).toEqual({
+      name: 'poll',
+      args: { question: 'Who wins?', options: ['Chiefs', 'Bills'] },
+    });
+    expect(parseSlashCommand('/poll MVP? Mahomes | Allen | Jackson').args.options).toHaveLength(3);
+    expect(parseSlashCommand('/poll "Who wins?" Chiefs').error).toMatch(/at least 2/);
+    expect(parseSlashCommand('/poll Who wins Chiefs | Bills').error).toMatch(/quotes/);
+  });
+
+  test('parses the other commands and rejects bad arguments', () => {
+    expect(parseSlashCommand('/gif touchdown')).toEqual({ name: 'gif', args: { query: 'touchdown' } });
+    expect(parseSlashCommand('/shrug refs').args.text).toBe('refs ¯\\_(ツ)_/¯');
+    expect(parseSlashCommand('/react fire').args.emoji).toBe('🔥');
+    expect(parseSlashCommand('/react 🐐').error).toBeDefined();
+    expect(parseSlashCommand('/mute @Sam').args.username).toBe('Sam');
+    expect(parseSlashCommand('/me').error).toBeDefined();
+    expect(parseSlashCommand('/punt').error).toMatch(/Unknown command/);
+  });
+
+  test('leaves chat that merely starts with "/" alone', () => {
+    expect(parseSlashCommand('/r/nfl is wild today')).toBeNull();
+    expect(parseSlashCommand('/ 10 for that throw')).toBeNull();
+    expect(parseSlashCommand('hello')).toBeNull();
+  });
+
+  test('suggests commands while the name is typed, then shows its usage', () => {
+    expect(getCommandSuggestions('/').length).toBeGreaterThan(5);
+    expect(getCommandSuggestions('/mu').map(command => command.name)).toEqual(['mute']);
+    expect(getCommandSuggestions('/mute ')).toEqual([]);
+    expect(getCommandHint('/mute')).toBeNull();
+    expect(getCommandHint('/poll "Who').name).toBe('poll');
+  });
+});
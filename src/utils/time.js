@@ -0,0 +1,110 @@
+/**
+ * Message time helpers
+ *
+ * Every message carries `timestamp` as epoch milliseconds — the moment it
+ * was sent, the same value that's saved with it — and is only formatted for
+ * display. The chat shows "just now" / "5m ago" for fresh messages and the
+ * clock time after that, with the full date and time on hover, and a day
+ * separator wherever the date changes.
+ */
+
+// Messages younger than this read "just now"
+const JUST_NOW_MS = 60 * 1000;
+
+// ...and younger than this "Nm ago"; older ones show the clock time
+const RELATIVE_LIMIT_MS = 60 * 60 * 1000;
+
+// How often relative times are refreshed while the chat is open
+export const RELATIVE_TIME_REFRESH_MS = 30 * 1000;
+
+/**
+ * Reads a stored or received time as epoch ms
+ * Accepts numbers, numeric strings and ISO dates. Older messages carried a
+ * preformatted "08:41 PM" string, which has no date and can't be read.
+ * @param {number|string} value - Time as sent or stored
+ * @returns {number|null} Epoch ms, or null if it isn't a time
+ */
+export function toEpochMs(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) return numeric;
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Formats a time as the clock time, e.g. "8:41 PM"
+ * @param {number} timestamp - Epoch ms
+ * @returns {string}
+ */
+export function formatClockTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Formats a message time for the chat: "just now", "5m ago" or "8:41 PM"
+ * @param {number} timestamp - Epoch ms
+ * @param {number} now - Current time in epoch ms
+ * @returns {string}
+ */
+export function formatRelativeTime(timestamp, now) {
+  const age = now - timestamp;
+
+  // Slightly-ahead clocks on other devices still read "just now"
+  if (age < JUST_NOW_MS) return 'just now';
+  if (age < RELATIVE_LIMIT_MS) return `${Math.floor(age / 60000)}m ago`;
+  return formatClockTime(timestamp);
+}
+
+/**
+ * Formats the full date and time, for tooltips
+ * @param {number} timestamp - Epoch ms
+ * @returns {string} e.g. "Sunday, October 12, 2026 at 8:41 PM"
+ */
+export function formatAbsoluteTime(timestamp) {
+  return new Date(timestamp).toLocaleString([], {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Whether two times fall on the same local calendar day
+ * @param {number} a - Epoch ms
+ * @param {number} b - Epoch ms
+ * @returns {boolean}
+ */
+export function isSameDay(a, b) {
+  return new Date(a).toDateString() === new Date(b).toDateString();
+}
+
+/**
+ * Labels a day separator: "Today", "Yesterday" or the date
+ * @param {number} timestamp - Epoch ms
+ * @param {number} now - Current time in epoch ms
+ * @returns {string} e.g. "Sunday, October 12" (with the year if it isn't this year)
+ */
+export function formatDayLabel(timestamp, now) {
+  if (isSameDay(timestamp, now)) return 'Today';
+
+  const yesterday = new Date(now);
+  yesterday.setDate(yesterday.getDate() - 1);
+  if (isSameDay(timestamp, yesterday.getTime())) return 'Yesterday';
+
+  const date = new Date(timestamp);
+  return date.toLocaleDateString([], {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: date.getFullYear() === new Date(now).getFullYear() ? undefined : 'numeric',
+  });
+}
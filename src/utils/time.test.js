@@ -0,0 +1,30 @@
+import { toEpochMs, formatRelativeTime, formatDayLabel, isSameDay } from './time';
+
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute).getTime();
+
+describe('message time helpers', () => {
+  test('reads epoch ms, numeric strings and ISO dates, but not preformatted times', () => {
+    const time = at(12, 20);
+    expect(toEpochMs(time)).toBe(time);
+    expect(toEpochMs(String(time))).toBe(time);
+    expect(toEpochMs(new Date(time).toISOString())).toBe(time);
+    expect(toEpochMs('08:41 PM')).toBeNull();
+    expect(toEpochMs(undefined)).toBeNull();
+  });
+
+  test('shows fresh messages relative to now', () => {
+    const now = at(12, 20, 30);
+    expect(formatRelativeTime(now - 10 * 1000, now)).toBe('just now');
+    expect(formatRelativeTime(now + 5 * 1000, now)).toBe('just now');
+    expect(formatRelativeTime(now - 5 * 60 * 1000, now)).toBe('5m ago');
+    expect(formatRelativeTime(now - 3 * 60 * 60 * 1000, now)).not.toMatch(/ago/);
+  });
+
+  test('labels days for separators', () => {
+    const now = at(12, 9);
+    expect(isSameDay(at(12, 0), at(12, 23, 59))).toBe(true);
+    expect(formatDayLabel(at(12, 1), now)).toBe('Today');
+    expect(formatDayLabel(at(11, 23), now)).toBe('Yesterday');
+    expect(formatDayLabel(at(5, 20), now)).not.toMatch(/Today|Yesterday/);
+  });
+});
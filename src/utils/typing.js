@@ -0,0 +1,81 @@
+/**
+ * Typing indicator helpers
+ *
+ * While someone types, MessageInput sends typing-start at most once every
+ * TYPING_THROTTLE_MS, and typing-stop after TYPING_IDLE_MS of no keystrokes
+ * or when the message is sent. Receivers keep { [memberId]: { username, expiresAt } }
+ * and drop entries after TYPING_TIMEOUT_MS in case the stop event is lost.
+ *
+ * Typing events only travel over the channel — they are never persisted.
+ */
+
+export const TYPING_THROTTLE_MS = 3000;
+export const TYPING_IDLE_MS = 4000;
+export const TYPING_TIMEOUT_MS = 6000;
+
+export const TYPING_EVENT_TYPES = ['typing-start', 'typing-stop'];
+
+/**
+ * Applies a typing event to the map of who's typing
+ * @param {object} typingUsers - Current typing map
+ * @param {object} event - { type, memberId, username }
+ * @param {number} now - Current time in ms
+ * @returns {object} - Updated typing map
+ */
+export function applyTypingEvent(typingUsers, event, now = Date.now()) {
+  if (!event || typeof event.memberId !== 'string' || !event.memberId) {
+    return typingUsers;
+  }
+
+  if (event.type === 'typing-stop') {
+    return removeTypingUser(typingUsers, member => member.memberId === event.memberId);
+  }
+
+  return {
+    ...typingUsers,
+    [event.memberId]: {
+      memberId: event.memberId,
+      username: event.username || 'Anonymous',
+      expiresAt: now + TYPING_TIMEOUT_MS,
+    },
+  };
+}
+
+/**
+ * Removes typing entries that match a predicate
+ * @param {object} typingUsers - Current typing map
+ * @param {Function} predicate - Called with each entry, true to remove
+ * @returns {object} - The same map if nothing matched, otherwise a copy
+ */
+export function removeTypingUser(typingUsers, predicate) {
+  const matches = Object.values(typingUsers).filter(predicate);
+  if (matches.length === 0) return typingUsers;
+
+  const updated = { ...typingUsers };
+  matches.forEach(member => delete updated[member.memberId]);
+  return updated;
+}
+
+/**
+ * Drops typing entries that have timed out
+ * @param {object} typingUsers - Current typing map
+ * @param {number} now - Current time in ms
+ * @returns {object} - Pruned typing map
+ */
+export function pruneTypingUsers(typingUsers, now = Date.now()) {
+  return removeTypingUser(typingUsers, member => member.expiresAt <= now);
+}
+
+/**
+ * Builds the "who's typing" line
+ * @param {Array<string>} usernames - Names of people typing
+ * @returns {string} - e.g. "Mike is typing…", "Mike and 3 others are typing…"
+ */
+export function formatTypingText(usernames) {
+  if (usernames.length === 0) return '';
+  if (usernames.length === 1) return `${usernames[0]} is typing…`;
+  if (usernames.length === 2) return `${usernames[0]} and ${usernames[1]} are typing…`;
+
+  const others = usernames.length - 1;
+  return `${usernames[0]} and ${others} others are typing…`;
+}
@@ -0,0 +1,92 @@
+/**
+ * Virtual list helpers
+ *
+ * ChatDisplay only renders the messages near the viewport. Every other
+ * message is represented by its height — measured once it has rendered,
+ * estimated from its content until then — and the rows above and below
+ * the window are replaced by spacers of the right size.
+ *
+ * offsets[i] is the top of row i, and offsets[messages.length] is the
+ * height of the whole list.
+ */
+
+// Estimated heights (px) of the parts of a row, used until it's measured
+const ESTIMATED_HEIGHTS = {
+  compact: 48,
+  message: 80,
+  replyQuote: 44,
+  media: 260,
+  reactions: 36,
+};
+
+/**
+ * Guesses a row's height from its content
+ * @param {object} message - Message
+ * @returns {number} Height in px
+ */
+export function estimateMessageHeight(message) {
+  if (message.type === 'system' || message.type === 'reaction' || message.deleted) {
+    return ESTIMATED_HEIGHTS.compact;
+  }
+
+  let height = ESTIMATED_HEIGHTS.message;
+  if (message.replyTo) height += ESTIMATED_HEIGHTS.replyQuote;
+  if (message.media) height += ESTIMATED_HEIGHTS.media;
+  if (message.reactions && Object.keys(message.reactions).length > 0) {
+    height += ESTIMATED_HEIGHTS.reactions;
+  }
+  return height;
+}
+
+/**
+ * Works out where each row starts
+ * @param {Array} messages - Messages in display order
+ * @param {Map} heights - Measured heights by message ID
+ * @returns {Array} offsets — messages.length + 1 entries
+ */
+export function buildOffsets(messages, heights) {
+  const offsets = new Array(messages.length + 1);
+  offsets[0] = 0;
+  messages.forEach((message, index) => {
+    const height = heights.get(message.id) ?? estimateMessageHeight(message);
+    offsets[index + 1] = offsets[index] + height;
+  });
+  return offsets;
+}
+
+/**
+ * Finds the last row starting at or above a position
+ * @param {Array} offsets - From buildOffsets
+ * @param {number} position - px from the top of the list
+ * @returns {number} Row index (0 for positions above the list)
+ */
+export function findRowAt(offsets, position) {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return Math.max(0, low);
+}
+
+/**
+ * Picks the rows to render
+ * @param {Array} offsets - From buildOffsets
+ * @param {number} scrollTop - Viewport top, px from the top of the list
+ * @param {number} viewportHeight - Viewport height in px
+ * @param {number} overscan - Extra px rendered above and below the viewport
+ * @returns {object} { start, end } — render rows start..end-1
+ */
+export function getVisibleRange(offsets, scrollTop, viewportHeight, overscan) {
+  const count = offsets.length - 1;
+  if (count <= 0) return { start: 0, end: 0 };
+
+  const start = findRowAt(offsets, Math.max(0, scrollTop - overscan));
+  const end = findRowAt(offsets, scrollTop + viewportHeight + overscan) + 1;
+  return { start, end: Math.min(count, end) };
+}
@@ -0,0 +1,46 @@
+import {
+  estimateMessageHeight,
+  buildOffsets,
+  findRowAt,
+  getVisibleRange,
+} from './virtualList';
+
+const message = (id, extra = {}) => ({ id, type: 'message', text: 'hi', ...extra });
+
+describe('virtual list helpers', () => {
+  test('estimates taller rows for GIFs, quotes and reactions', () => {
+    const plain = estimateMessageHeight(message('a'));
+    expect(estimateMessageHeight(message('b', { media: { type: 'gif' } }))).toBeGreaterThan(plain);
+    expect(estimateMessageHeight(message('c', { replyTo: { id: 'a' } }))).toBeGreaterThan(plain);
+    expect(estimateMessageHeight(message('d', { reactions: { '🔥': ['u1'] } }))).toBeGreaterThan(plain);
+    expect(estimateMessageHeight({ id: 'e', type: 'system', text: 'Poll closed' })).toBeLessThan(plain);
+  });
+
+  test('builds offsets from measured heights, estimating the rest', () => {
+    const messages = [message('a'), message('b'), message('c')];
+    const heights = new Map([['a', 100], ['c', 30]]);
+    const estimate = estimateMessageHeight(messages[1]);
+
+    expect(buildOffsets(messages, heights)).toEqual([0, 100, 100 + estimate, 130 + estimate]);
+    expect(buildOffsets([], heights)).toEqual([0]);
+  });
+
+  test('finds the row at a position', () => {
+    const offsets = [0, 100, 150, 300];
+    expect(findRowAt(offsets, 0)).toBe(0);
+    expect(findRowAt(offsets, 99)).toBe(0);
+    expect(findRowAt(offsets, 100)).toBe(1);
+    expect(findRowAt(offsets, 299)).toBe(2);
+    expect(findRowAt(offsets, 5000)).toBe(2);
+  });
+
+  test('renders only the rows near the viewport', () => {
+    // 100 rows, 50px each
+    const offsets = Array.from({ length: 101 }, (_, i) => i * 50);
+
+    expect(getVisibleRange(offsets, 0, 200, 0)).toEqual({ start: 0, end: 5 });
+    expect(getVisibleRange(offsets, 1000, 200, 100)).toEqual({ start: 18, end: 27 });
+    expect(getVisibleRange(offsets, 4800, 200, 100)).toEqual({ start: 94, end: 100 });
+    expect(getVisibleRange([0], 0, 200, 100)).toEqual({ start: 0, end: 0 });
+  });
+});